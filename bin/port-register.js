@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/* ════════════════════════════════════════════════════════════
+   Port Register — command-line client
+════════════════════════════════════════════════════════════ */
+
+const { spawn } = require('child_process');
+const { PortRegisterClient } = require('../client');
+
+const USAGE = `Usage: port-register <command> [options]
+
+Commands:
+  check <port>                 Is the port free in the registry and the OS?
+  suggest                      Suggest a free port (--range, --pool)
+  claim                        Pick a free port and register it (--agent, --reason)
+  wait <port>                  Queue for a busy port and register it once it frees up
+                               (--agent, --reason, --timeout)
+  release <port>               Release a port (--token, or --admin-token)
+  transfer <port>              Hand a port to another agent (--to, --token)
+  request-release <port>       Ask the holder of a port to hand it over
+                               (--agent, --reason, --message)
+  list                         List active registrations
+                               (--agent, --tag, --label KEY=VALUE, --range, --sort)
+  services                     List named services and the URLs they're reachable at
+  run [options] -- <command>   Claim a port, run <command> with it in $PORT,
+                               heartbeat while it runs and release when it exits
+
+Options:
+  --range MIN-MAX    Port range for suggest / claim / run
+  --pool NAME        Named pool from the server policy instead of a range
+  --preferred N      Try this port first (claim / run)
+  --proto tcp|udp    Protocol the port is for (default tcp)
+  --address IP       Bind address, e.g. 127.0.0.1 (default: all interfaces)
+  --probe            Confirm availability by test-binding the port (check / suggest / claim / run)
+  --agent NAME       Agent name (claim / wait / run; filter for list)
+  --tag A,B          Tags for claim / run; for list, only ports carrying all of them
+  --label K=V,…      Labels for claim / run; for list, only ports with these labels
+  --sort FIELD       list order: port, agent, registeredAt, expiresAt (-FIELD descending)
+  --health CHECK     Health check for claim / run: tcp, http[:/path], process:NAME
+  --name NAME        Service name for claim / wait / run: the proxy serves it at
+                     http://NAME.localhost:4480/ whatever port it ends up on
+  --reason TEXT      What the port is for (claim / wait / run)
+  --ttl MINUTES      Registration TTL (claim / wait / run)
+  --timeout SECONDS  How long to wait for the port (wait, default 300)
+  --to AGENT         Agent to hand the port to (transfer)
+  --message TEXT     Note for the holder (request-release)
+  --env NAME         Environment variable to export the port as (run, default PORT)
+  --token TOKEN      Lease token (release / transfer; also $PORT_REGISTER_LEASE)
+  --admin-token T    Admin token (release; also $PORT_REGISTER_ADMIN_TOKEN)
+  --url URL          Server URL (default $PORT_REGISTER_URL or http://localhost:4444)
+  --json             Print raw JSON instead of tables
+`;
+
+// ─── Argument Parsing ──────────────────────────────────────────────────────────
+
+const FLAGS = new Set(['json', 'help', 'probe']);
+
+function parseArgs(argv) {
+  const opts = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      opts.command = argv.slice(i + 1);
+      break;
+    }
+    const m = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m) {
+      opts._.push(arg);
+    } else if (FLAGS.has(m[1])) {
+      opts[m[1]] = true;
+    } else {
+      const value = m[2] !== undefined ? m[2] : argv[++i];
+      if (value === undefined) fail(`Missing value for --${m[1]}`);
+      opts[m[1]] = value;
+    }
+  }
+  return opts;
+}
+
+// ─── Output ────────────────────────────────────────────────────────────────────
+
+function fail(msg, code = 1) {
+  console.error(`port-register: ${msg}`);
+  process.exit(code);
+}
+
+function table(rows, columns) {
+  if (!rows.length) return '(none)';
+  const cells = rows.map(r => columns.map(([, get]) => String(get(r) ?? '—')));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(c => c[i].length)));
+  const line = cols => cols.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(([title]) => title)), line(widths.map(w => '─'.repeat(w))), ...cells.map(line)].join('\n');
+}
+
+function formatExpiry(reg) {
+  if (reg.permanent) return 'permanent';
+  const mins = Math.round((reg.expiresAt - Date.now()) / 60000);
+  return mins >= 0 ? `${mins}m` : 'expired';
+}
+
+// ─── Client ────────────────────────────────────────────────────────────────────
+
+function clientFor(opts) {
+  return new PortRegisterClient({
+    url: opts.url || process.env.PORT_REGISTER_URL || 'http://localhost:4444',
+    adminToken: opts['admin-token'] || process.env.PORT_REGISTER_ADMIN_TOKEN || null,
+  });
+}
+
+function rangeBody(opts) {
+  const body = {};
+  if (opts.pool) body.pool = opts.pool;
+  if (opts.range) body.range = opts.range;
+  if (opts.preferred) body.preferred = parseInt(opts.preferred);
+  return body;
+}
+
+// proto / address for check, suggest, claim, run and release
+function socketOpts(opts) {
+  return {
+    ...(opts.proto ? { proto: opts.proto } : {}),
+    ...(opts.address ? { address: opts.address } : {}),
+  };
+}
+
+function claimBody(opts, pid) {
+  if (!opts.agent) fail('--agent is required');
+  if (!opts.reason) fail('--reason is required');
+  return {
+    ...rangeBody(opts),
+    ...socketOpts(opts),
+    ...(opts.probe ? { probe: true } : {}),
+    agent: opts.agent,
+    reason: opts.reason,
+    ...(opts.ttl ? { ttlMinutes: Number(opts.ttl) } : {}),
+    ...(pid ? { pid } : {}),
+    ...(opts.tag ? { tags: splitList(opts.tag) } : {}),
+    ...(opts.label ? { labels: parseLabels(opts.label) } : {}),
+    ...(opts.health ? { healthCheck: parseHealth(opts.health) } : {}),
+    ...(opts.name ? { name: opts.name } : {}),
+  };
+}
+
+// "tcp", "http", "http:/healthz" or "process:node" → a healthCheck body field
+function parseHealth(value) {
+  const [type, arg] = value.split(/:(.*)/s);
+  if (type === 'tcp' && !arg) return { type };
+  if (type === 'http') return { type, ...(arg ? { path: arg } : {}) };
+  if (type === 'process' && arg) return { type, process: arg };
+  return fail(`--health expects tcp, http[:/path] or process:NAME, got "${value}"`);
+}
+
+function splitList(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// "project=shop,branch=main" → { project: 'shop', branch: 'main' }
+function parseLabels(value) {
+  return Object.fromEntries(splitList(value).map(pair => {
+    const i = pair.indexOf('=');
+    if (i < 1) fail(`--label expects KEY=VALUE, got "${pair}"`);
+    return [pair.slice(0, i), pair.slice(i + 1)];
+  }));
+}
+
+// /api/ports filters from list options
+function listQuery(opts) {
+  const [portMin, portMax] = opts.range ? opts.range.split('-') : [];
+  return {
+    agent: opts.agent,
+    tag: opts.tag,
+    ...Object.fromEntries(Object.entries(opts.label ? parseLabels(opts.label) : {}).map(([k, v]) => [`label.${k}`, v])),
+    portMin,
+    portMax,
+    sort: opts.sort,
+  };
+}
+
+// ─── Commands ──────────────────────────────────────────────────────────────────
+
+const commands = {
+  async check(opts) {
+    const port = opts._[1];
+    if (!port) fail('usage: port-register check <port>');
+    const data = await clientFor(opts).check(encodeURIComponent(port), { ...socketOpts(opts), probe: opts.probe });
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(`${data.available ? '✓' : '✕'} ${data.recommendation}`);
+    process.exitCode = data.available ? 0 : 2;
+  },
+
+  async suggest(opts) {
+    const { preferred, ...query } = rangeBody(opts);
+    const data = await clientFor(opts).suggest({ ...query, ...socketOpts(opts), probe: opts.probe });
+    console.log(opts.json ? JSON.stringify(data, null, 2) : data.port);
+  },
+
+  async claim(opts) {
+    const data = await clientFor(opts).claim(claimBody(opts));
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(`Claimed port ${data.registration.port}${data.registration.name ? ` as "${data.registration.name}"` : ''}`);
+    console.log(`Lease token: ${data.leaseToken}`);
+    console.log(`\nRelease with: port-register release ${data.registration.port} --token ${data.leaseToken}`);
+  },
+
+  async wait(opts) {
+    const port = opts._[1];
+    if (!port) fail('usage: port-register wait <port> --agent <name> --reason <text>');
+    if (!opts.agent) fail('--agent is required');
+    if (!opts.reason) fail('--reason is required');
+    const data = await clientFor(opts).wait(encodeURIComponent(port), {
+      ...socketOpts(opts),
+      agent: opts.agent,
+      reason: opts.reason,
+      ...(opts.ttl ? { ttlMinutes: Number(opts.ttl) } : {}),
+      ...(opts.name ? { name: opts.name } : {}),
+      ...(opts.timeout ? { timeoutSeconds: parseInt(opts.timeout) } : {}),
+    });
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(`Registered port ${data.registration.port} after waiting ${Math.round(data.waitedMs / 1000)}s`);
+    console.log(`Lease token: ${data.leaseToken}`);
+    console.log(`\nRelease with: port-register release ${data.registration.port} --token ${data.leaseToken}`);
+  },
+
+  async release(opts) {
+    const port = opts._[1];
+    if (!port) fail('usage: port-register release <port> --token <leaseToken>');
+    const token = opts.token || process.env.PORT_REGISTER_LEASE || null;
+    const data = await clientFor(opts).release(encodeURIComponent(port), token, socketOpts(opts));
+    console.log(opts.json ? JSON.stringify(data, null, 2) : `Released port ${data.released.port}`);
+  },
+
+  async transfer(opts) {
+    const port = opts._[1];
+    if (!port || !opts.to) fail('usage: port-register transfer <port> --to <agent> --token <leaseToken>');
+    const token = opts.token || process.env.PORT_REGISTER_LEASE || null;
+    const data = await clientFor(opts).transfer(encodeURIComponent(port), token, {
+      ...socketOpts(opts),
+      toAgent: opts.to,
+      ...(opts.reason ? { reason: opts.reason } : {}),
+    });
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(`Port ${data.registration.port} handed from "${data.from}" to "${data.registration.agent}"`);
+    console.log(`New lease token (give it to "${data.registration.agent}"): ${data.leaseToken}`);
+  },
+
+  async ['request-release'](opts) {
+    const port = opts._[1];
+    if (!port) fail('usage: port-register request-release <port> --agent <name> --reason <text> [--message <text>]');
+    if (!opts.agent) fail('--agent is required');
+    if (!opts.reason) fail('--reason is required');
+    const data = await clientFor(opts).requestRelease(encodeURIComponent(port), {
+      ...socketOpts(opts),
+      agent: opts.agent,
+      reason: opts.reason,
+      ...(opts.message ? { message: opts.message } : {}),
+      ...(opts.ttl ? { ttlMinutes: Number(opts.ttl) } : {}),
+    });
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(`Asked "${data.heldBy}" for port ${data.request.port} (request ${data.request.id})`);
+    console.log(`Lease token if accepted: ${data.leaseToken}`);
+  },
+
+  async list(opts) {
+    const data = await clientFor(opts).list(listQuery(opts));
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(table(data.registrations, [
+      ['PORT', r => r.port],
+      ['PROTO', r => r.proto || 'tcp'],
+      ['ADDRESS', r => r.address || '*'],
+      ['NAME', r => r.name || null],
+      ['AGENT', r => r.agent],
+      ['REASON', r => r.reason.length > 40 ? `${r.reason.slice(0, 39)}…` : r.reason],
+      ['OS', r => r.osInUse === null ? '?' : r.osInUse ? (r.osProcess || 'listening') : 'not listening'],
+      ['EXPIRES', formatExpiry],
+      ['GROUP', r => r.groupId ? (r.groupName ? `${r.groupName}@${r.groupId}` : r.groupId) : null],
+      ['HEALTH', r => (r.healthCheck ? (r.health ? r.health.status : 'pending') : null)],
+      ['TAGS', r => [...(r.tags || []), ...Object.entries(r.labels || {}).map(([k, v]) => `${k}=${v}`)].join(' ') || null],
+    ]));
+  },
+
+  async services(opts) {
+    const data = await clientFor(opts).services();
+    if (opts.json) return console.log(JSON.stringify(data, null, 2));
+    console.log(table(data.services, [
+      ['NAME', r => r.name],
+      ['PORT', r => r.port],
+      ['AGENT', r => r.agent],
+      ['OS', r => r.osInUse === null ? '?' : r.osInUse ? 'listening' : 'not listening'],
+      ['URL', r => r.url || '-'],
+    ]));
+  },
+
+  async run(opts) {
+    if (!opts.command || !opts.command.length) fail('usage: port-register run [options] -- <command> [args…]');
+    const envName = opts.env || 'PORT';
+
+    // Bind the claim to this wrapper's PID: if we're killed hard, the server
+    // notices and releases the port even though we never got to. The wrapper
+    // lives exactly as long as the command, and whatever process the command
+    // starts to listen (npm run → sh → node) descends from it, so the server
+    // still shows the owner verified. Signals are forwarded to the child
+    // below, so the lease doesn't handle them itself.
+    const lease = await clientFor(opts).lease({ ...claimBody(opts, process.pid), releaseOnExit: false });
+    const { port } = lease;
+    if (opts.json) console.log(JSON.stringify({ registration: lease.registration, leaseToken: lease.token }));
+    else console.error(`port-register: claimed port ${port} → $${envName}${lease.registration.name ? ` (${lease.registration.name})` : ''}`);
+
+    async function release() {
+      try {
+        if (await lease.release() && !opts.json) console.error(`port-register: released port ${port}`);
+      } catch (e) {
+        console.error(`port-register: release of port ${port} failed — ${e.message}`);
+      }
+    }
+
+    const [cmd, ...args] = opts.command;
+    const child = spawn(cmd, args, {
+      stdio: 'inherit',
+      env: { ...process.env, [envName]: String(port) },
+      shell: process.platform === 'win32',
+    });
+
+    for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+      process.on(signal, () => child.kill(signal));
+    }
+
+    child.on('error', async e => {
+      console.error(`port-register: could not start ${cmd} — ${e.message}`);
+      await release();
+      process.exit(127);
+    });
+
+    child.on('exit', async (code, signal) => {
+      await release();
+      process.exit(code !== null ? code : 128 + (require('os').constants.signals[signal] || 0));
+    });
+  },
+};
+
+// ─── Main ──────────────────────────────────────────────────────────────────────
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const name = opts._[0];
+  if (!name || opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[name]) fail(`unknown command "${name}"\n\n${USAGE}`);
+
+  try {
+    await commands[name](opts);
+  } catch (e) {
+    if (opts.json && e.body) console.log(JSON.stringify(e.body, null, 2));
+    fail(e.message, e.status === 404 ? 2 : 1);
+  }
+})();
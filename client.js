@@ -0,0 +1,387 @@
+/* ════════════════════════════════════════════════════════════
+   Port Register — Node client
+   const { PortRegisterClient } = require('port-register/client');
+════════════════════════════════════════════════════════════ */
+
+const net = require('net');
+const { spawnSync } = require('child_process');
+
+const DEFAULT_URL = process.env.PORT_REGISTER_URL || 'http://localhost:4444';
+
+// ─── Errors ────────────────────────────────────────────────────────────────────
+
+class PortRegisterError extends Error {
+  constructor(message, status = null, body = {}) {
+    super(message);
+    this.name = 'PortRegisterError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class UnauthorizedError extends PortRegisterError {
+  constructor(message, body) { super(message, 401, body); this.name = 'UnauthorizedError'; }
+}
+
+// 403 — wrong lease/admin token, agent mismatch, or a policy violation (see .violation)
+class ForbiddenError extends PortRegisterError {
+  constructor(message, body) {
+    super(message, 403, body);
+    this.name = 'ForbiddenError';
+    this.violation = body.violation || null;
+  }
+}
+
+class NotFoundError extends PortRegisterError {
+  constructor(message, body) { super(message, 404, body); this.name = 'NotFoundError'; }
+}
+
+// 409 — the port is already registered; .registeredBy holds the current owner
+class ConflictError extends PortRegisterError {
+  constructor(message, body) {
+    super(message, 409, body);
+    this.name = 'ConflictError';
+    this.registeredBy = body.registeredBy || null;
+  }
+}
+
+const ERRORS_BY_STATUS = { 401: UnauthorizedError, 403: ForbiddenError, 404: NotFoundError, 409: ConflictError };
+
+// ─── Client ────────────────────────────────────────────────────────────────────
+
+class PortRegisterClient {
+  constructor({ url = DEFAULT_URL, adminToken = process.env.PORT_REGISTER_ADMIN_TOKEN || null } = {}) {
+    this.url = url.replace(/\/+$/, '');
+    this.adminToken = adminToken;
+  }
+
+  async request(method, path, { body, leaseToken, admin = false } = {}) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (leaseToken) headers['X-Lease-Token'] = leaseToken;
+    if (admin && this.adminToken) headers['X-Admin-Token'] = this.adminToken;
+
+    let res;
+    try {
+      res = await fetch(`${this.url}/api${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    } catch (e) {
+      const reason = e.cause ? e.cause.code || e.cause.message : e.message;
+      throw new PortRegisterError(`Cannot reach Port Register at ${this.url} (${reason})`);
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const ErrorClass = ERRORS_BY_STATUS[res.status];
+      const message = data.error || `HTTP ${res.status}`;
+      throw ErrorClass ? new ErrorClass(message, data) : new PortRegisterError(message, res.status, data);
+    }
+    return data;
+  }
+
+  // { proto?, address? } narrow the check to one socket (default: TCP, all
+  // interfaces); { probe: true } confirms a free answer with a real bind
+  check(port, { proto, address, probe } = {}) {
+    return this.request('GET', `/ports/check/${port}${queryString({ proto, address, probe: probe ? 1 : undefined })}`);
+  }
+
+  // { port, agent, reason, proto?, address?, ttlMinutes?, pid?, permanent?, name?, tags?, labels?, healthCheck? }
+  //   → { registration, leaseToken }
+  register(opts) {
+    return this.request('POST', '/ports/register', { body: opts, admin: !!opts.permanent });
+  }
+
+  // { agent, reason, range? | pool? | min?, max?, preferred?, proto?, address?, probe?, ttlMinutes?, pid?,
+  //   name?, tags?, labels?, healthCheck? } → { registration, leaseToken, decidedBy }
+  claim(opts) {
+    return this.request('POST', '/ports/claim', { body: opts });
+  }
+
+  heartbeat(port, leaseToken, { ttlMinutes } = {}) {
+    return this.request('POST', `/ports/${port}/heartbeat`, { body: ttlMinutes ? { ttlMinutes } : {}, leaseToken });
+  }
+
+  // { reason?, ttlMinutes? | extendMinutes? | expiresAt?, pid?, name?, tags?, labels?, metadata?, healthCheck? }
+  //   → { registration, changes }
+  // labels and metadata are merge patches: keys set to null are removed
+  update(port, leaseToken, fields, socket = {}) {
+    return this.request('PATCH', `/ports/${port}${queryString({ proto: socket.proto, address: socket.address })}`, {
+      body: fields,
+      leaseToken,
+      admin: !leaseToken,
+    });
+  }
+
+  // Without a lease token the client's admin token is used (force release).
+  // `socket` ({ proto, address }) picks the registration when a port is held
+  // for several sockets; a lease token already identifies its own.
+  release(port, leaseToken, socket = {}) {
+    return this.request('DELETE', `/ports/${port}${queryString({ proto: socket.proto, address: socket.address })}`, { leaseToken, admin: !leaseToken });
+  }
+
+  // { agent?, tag?, 'label.KEY'?, portMin?, portMax?, osInUse?, expiringWithin?, q?, sort?, limit?, offset? }
+  // Arrays (e.g. tag: ['ui', 'e2e']) repeat the parameter
+  list(query = {}) {
+    return this.request('GET', `/ports${queryString(filterQuery(query))}`);
+  }
+
+  // Same filters as list(), plus registered (true / false)
+  system(query = {}) {
+    return this.request('GET', `/ports/system${queryString(filterQuery(query))}`);
+  }
+
+  // { range? | pool? | min?, max?, proto?, address?, probe? } → { port, decidedBy }
+  suggest(query = {}) {
+    return this.request('GET', `/suggest${queryString(query)}`);
+  }
+
+  // Queues for a busy port and resolves once it is handed over → { registration, leaseToken }.
+  // opts: { agent, reason, proto?, address?, ttlMinutes?, pid?, timeoutSeconds? }.
+  // Long-polls rather than holding one request open, so long waits survive
+  // HTTP timeouts. A wait that times out rejects with status 408.
+  async wait(port, opts) {
+    let outcome = await this.request('POST', `/ports/${port}/wait`, { body: { ...opts, hold: false } });
+    while (outcome.status === 'waiting') outcome = await this.pollWait(outcome.waitId);
+    return outcome;
+  }
+
+  // One long-poll of a queued wait: { status: 'waiting', position } or its outcome
+  pollWait(waitId, { timeout } = {}) {
+    return this.request('GET', `/waits/${encodeURIComponent(waitId)}${queryString({ timeout })}`);
+  }
+
+  cancelWait(waitId) {
+    return this.request('DELETE', `/waits/${encodeURIComponent(waitId)}`);
+  }
+
+  // Hands the registration to `toAgent` → { registration, leaseToken } (the new owner's token)
+  // opts: { toAgent, reason?, ttlMinutes?, pid? }
+  transfer(port, leaseToken, opts) {
+    return this.request('POST', `/ports/${port}/transfer`, { body: opts, leaseToken, admin: !leaseToken });
+  }
+
+  // Asks the holder for the port: { agent, reason, message?, ttlMinutes? } → { request, leaseToken }.
+  // The lease token becomes yours if the holder accepts; poll releaseRequest() for the answer.
+  requestRelease(port, opts) {
+    return this.request('POST', `/ports/${port}/release-request`, { body: opts });
+  }
+
+  releaseRequest(port, requestId) {
+    return this.request('GET', `/ports/${port}/release-requests/${encodeURIComponent(requestId)}`);
+  }
+
+  acceptReleaseRequest(port, requestId, leaseToken) {
+    return this.request('POST', `/ports/${port}/release-requests/${encodeURIComponent(requestId)}/accept`, { leaseToken, admin: !leaseToken });
+  }
+
+  declineReleaseRequest(port, requestId, leaseToken, { message } = {}) {
+    return this.request('POST', `/ports/${port}/release-requests/${encodeURIComponent(requestId)}/decline`, {
+      body: message ? { message } : {},
+      leaseToken,
+      admin: !leaseToken,
+    });
+  }
+
+  reserveGroup(opts) {
+    return this.request('POST', '/ports/groups', { body: opts });
+  }
+
+  heartbeatGroup(groupId, leaseToken, { ttlMinutes } = {}) {
+    return this.request('POST', `/ports/groups/${encodeURIComponent(groupId)}/heartbeat`, { body: ttlMinutes ? { ttlMinutes } : {}, leaseToken });
+  }
+
+  releaseGroup(groupId, leaseToken) {
+    return this.request('DELETE', `/ports/groups/${encodeURIComponent(groupId)}`, { leaseToken, admin: !leaseToken });
+  }
+
+  // The service proxy's routes → { proxyPort, services: [{ name, port, agent, url?, … }] }
+  services() {
+    return this.request('GET', '/services');
+  }
+
+  history(query = {}) {
+    return this.request('GET', `/history${queryString(query)}`);
+  }
+
+  policy() {
+    return this.request('GET', '/policy');
+  }
+
+  clearAll() {
+    return this.request('DELETE', '/ports', { admin: true });
+  }
+
+  // Claims a port (or registers opts.port) and returns a Lease that keeps it
+  // alive. See Lease for the heartbeat / release-on-exit options.
+  async lease({ heartbeat = true, releaseOnExit = true, ...opts }) {
+    const { registration, leaseToken } = opts.port ? await this.register(opts) : await this.claim(opts);
+    return new Lease(this, registration, leaseToken, { heartbeat, releaseOnExit });
+  }
+}
+
+// "?a=1&b=2" from the defined entries of `query`, or "" when there are none.
+// Array values repeat the parameter.
+function queryString(query) {
+  const defined = Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== false);
+  const pairs = defined.flatMap(([k, v]) => [].concat(v).map(item => [k, item === true ? '1' : String(item)]));
+  const qs = new URLSearchParams(pairs).toString();
+  return qs ? `?${qs}` : '';
+}
+
+// List filters are tri-state (osInUse=false means "not listening"), so
+// booleans are sent as words rather than dropped when false
+function filterQuery(query) {
+  return Object.fromEntries(Object.entries(query).map(([k, v]) => [k, typeof v === 'boolean' ? String(v) : v]));
+}
+
+// ─── Lease ─────────────────────────────────────────────────────────────────────
+
+// A held registration. Heartbeats every third of the TTL (so a single missed
+// beat doesn't expire it) and, with releaseOnExit, releases the port on
+// SIGINT / SIGTERM and — synchronously — on process exit.
+class Lease {
+  constructor(client, registration, token, { heartbeat = true, releaseOnExit = true } = {}) {
+    this.client = client;
+    this.registration = registration;
+    this.port = registration.port;
+    this.token = token;
+    this.released = false;
+    this.timer = null;
+    this.signalHandlers = new Map();
+    this.seenRequests = new Set();
+
+    if (heartbeat && !registration.permanent) {
+      const intervalMs = Math.max(5000, ((registration.ttlMinutes || 30) * 60 * 1000) / 3);
+      this.timer = setInterval(() => {
+        this.heartbeat().catch(e => this.onError(e));
+      }, intervalMs);
+      this.timer.unref();
+    }
+
+    if (releaseOnExit) {
+      this.exitHandler = () => this.releaseSync();
+      process.on('exit', this.exitHandler);
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        const handler = async () => {
+          await this.release().catch(() => {});
+          // Re-raise so the default behaviour (exit) still happens if nobody else handles it
+          if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+        };
+        this.signalHandlers.set(signal, handler);
+        process.once(signal, handler);
+      }
+    }
+  }
+
+  // Override to observe background heartbeat failures
+  onError(err) {
+    console.error(`port-register: heartbeat for port ${this.port} failed — ${err.message}`);
+  }
+
+  // Override to answer release requests from other agents (see accept / decline);
+  // called once per request, from the heartbeat that first reports it
+  onReleaseRequest(request) {
+    console.error(`port-register: "${request.agent}" asks for port ${this.port} — ${request.message || request.reason} (request ${request.id})`);
+  }
+
+  async heartbeat(opts) {
+    const data = await this.client.heartbeat(this.port, this.token, opts);
+    this.registration.expiresAt = data.expiresAt ? Date.parse(data.expiresAt) : null;
+    for (const request of data.releaseRequests || []) {
+      if (this.seenRequests.has(request.id)) continue;
+      this.seenRequests.add(request.id);
+      this.onReleaseRequest(request);
+    }
+    return data;
+  }
+
+  async update(fields) {
+    const data = await this.client.update(this.port, this.token, fields);
+    this.registration = data.registration;
+    return data;
+  }
+
+  // Hands the port to a requester; this lease stops heartbeating and won't release it
+  async accept(requestId) {
+    const data = await this.client.acceptReleaseRequest(this.port, requestId, this.token);
+    this.detach();
+    this.released = true;
+    return data;
+  }
+
+  decline(requestId, opts) {
+    return this.client.declineReleaseRequest(this.port, requestId, this.token, opts);
+  }
+
+  // Hands the port to `toAgent` → { registration, leaseToken }; pass the token on to the new owner
+  async transfer(toAgent, opts = {}) {
+    const data = await this.client.transfer(this.port, this.token, { ...opts, toAgent });
+    this.detach();
+    this.released = true;
+    return data;
+  }
+
+  async release() {
+    if (this.released) return null;
+    this.detach();
+    this.released = true;
+    return this.client.release(this.port, this.token);
+  }
+
+  // Used from process 'exit', where async work can't run: makes the DELETE
+  // from a short-lived child process and waits for it.
+  releaseSync() {
+    if (this.released) return;
+    this.detach();
+    this.released = true;
+    const script = `fetch(process.argv[1], { method: 'DELETE', headers: { 'X-Lease-Token': process.argv[2] } }).catch(() => {})`;
+    spawnSync(process.execPath, ['-e', script, `${this.client.url}/api/ports/${this.port}`, this.token], {
+      timeout: 3000,
+      stdio: 'ignore',
+    });
+  }
+
+  detach() {
+    clearInterval(this.timer);
+    if (this.exitHandler) process.removeListener('exit', this.exitHandler);
+    for (const [signal, handler] of this.signalHandlers) process.removeListener(signal, handler);
+    this.signalHandlers.clear();
+  }
+}
+
+// ─── http.Server helper ────────────────────────────────────────────────────────
+
+// Claims a port and binds `server` to it. If something grabbed the port
+// between the claim and the bind, the lease is released and the claim retried.
+// Resolves with the Lease; the port is released when the server closes.
+// opts: claim options plus { host, client, retries }. An IP `host` is also
+// registered as the bind address, so other interfaces stay claimable.
+async function listenWithLease(server, { host, client = new PortRegisterClient(), retries = 3, ...opts } = {}) {
+  if (host && net.isIP(host) && opts.address === undefined) opts.address = host;
+  for (let attempt = 0; ; attempt++) {
+    const lease = await client.lease(opts);
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(lease.port, host, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+      server.once('close', () => lease.release().catch(() => {}));
+      return lease;
+    } catch (e) {
+      await lease.release().catch(() => {});
+      if (e.code !== 'EADDRINUSE' || attempt >= retries) throw e;
+    }
+  }
+}
+
+module.exports = {
+  PortRegisterClient,
+  Lease,
+  listenWithLease,
+  PortRegisterError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// ─── Lease & Admin Tokens ──────────────────────────────────────────────────────
+//
+// Every registration gets a random lease token that is returned once, at
+// registration time. Only its SHA-256 hash is stored in ports.json, so reading
+// the registry (or the file) never reveals a usable token.
+//
+// Tokens are accepted from:
+//   lease:  X-Lease-Token header, `leaseToken` body field, or Authorization: Bearer
+//   admin:  X-Admin-Token header, or Authorization: Bearer
+
+const ADMIN_TOKEN = process.env.PORT_REGISTER_ADMIN_TOKEN || crypto.randomBytes(16).toString('hex');
+const ADMIN_TOKEN_GENERATED = !process.env.PORT_REGISTER_ADMIN_TOKEN;
+
+function generateLeaseToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function bearerToken(req) {
+  const m = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+function getLeaseToken(req) {
+  return req.get('x-lease-token') || (req.body && req.body.leaseToken) || bearerToken(req) || null;
+}
+
+function isAdmin(req) {
+  const token = req.get('x-admin-token') || bearerToken(req);
+  return !!token && safeEqual(token, ADMIN_TOKEN);
+}
+
+// True if the caller sent an admin credential at all (valid or not) — lets
+// callers choose between 401 (missing) and 403 (wrong)
+function hasAdminCredential(req) {
+  return !!(req.get('x-admin-token') || bearerToken(req));
+}
+
+function leaseMatches(reg, token) {
+  return !!token && !!reg.leaseTokenHash && safeEqual(hashToken(token), reg.leaseTokenHash);
+}
+
+// Checks that the caller may act on `reg`. Returns null if allowed, otherwise
+// { status, error } ready to send. Admins pass when `allowAdmin` is set.
+function checkLease(req, reg, { allowAdmin = false } = {}) {
+  if (allowAdmin && isAdmin(req)) return null;
+  const token = getLeaseToken(req);
+  if (!token) {
+    return {
+      status: 401,
+      error: `Lease token required for port ${reg.port} — send the leaseToken returned at registration (X-Lease-Token header)`,
+    };
+  }
+  if (!leaseMatches(reg, token)) {
+    return { status: 403, error: `Invalid lease token for port ${reg.port}` };
+  }
+  return null;
+}
+
+// Express middleware for force / admin-only operations
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  if (!hasAdminCredential(req)) {
+    return res.status(401).json({ error: 'Admin token required — send it in the X-Admin-Token header' });
+  }
+  res.status(403).json({ error: 'Invalid admin token' });
+}
+
+// Strip secrets before a registration leaves the server
+function publicRegistration(reg) {
+  if (!reg) return reg;
+  const { leaseTokenHash, ...rest } = reg;
+  if (rest.releaseRequests) rest.releaseRequests = rest.releaseRequests.map(publicReleaseRequest);
+  return rest;
+}
+
+// A release request carries the hash of the lease token its requester will
+// hold if it is accepted
+function publicReleaseRequest(request) {
+  const { tokenHash, ...rest } = request;
+  return rest;
+}
+
+module.exports = {
+  ADMIN_TOKEN,
+  ADMIN_TOKEN_GENERATED,
+  generateLeaseToken,
+  hashToken,
+  isAdmin,
+  hasAdminCredential,
+  checkLease,
+  requireAdmin,
+  publicRegistration,
+  publicReleaseRequest,
+};
@@ -0,0 +1,122 @@
+const net = require('net');
+const os = require('os');
+const { HttpError } = require('./http');
+
+// ─── Socket Bindings ───────────────────────────────────────────────────────────
+//
+// A binding is { proto, address } — what a process passes to bind(). Registrations
+// and OS sockets are both compared as bindings, following the kernel's rules:
+//
+//   - TCP and UDP are separate namespaces and never conflict.
+//   - A null address (no address given) means "all interfaces" and conflicts
+//     with anything on the same proto and port.
+//   - "::" is dual-stack on Linux, macOS and Windows by default, so it covers
+//     every IPv4 and IPv6 address; "0.0.0.0" covers IPv4 addresses (and "::").
+//   - Two specific addresses conflict only when they are equal.
+//
+// Addresses must belong to this machine — a wildcard, loopback, or one of its
+// network interfaces. The service proxy and health checks connect to a
+// registration's address, so anything else would let any agent point them at
+// other hosts.
+
+const PROTOS = ['tcp', 'udp'];
+const WILDCARDS = ['0.0.0.0', '::'];
+
+function normalizeProto(proto) {
+  return String(proto).toLowerCase();
+}
+
+// Canonical form of a bind address: null for "any", IPv4-mapped IPv6 unwrapped,
+// IPv6 compressed and lowercased. Returns undefined for something that isn't an IP.
+function normalizeAddress(address) {
+  if (address === undefined || address === null) return null;
+  let text = String(address).trim().toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+  if (text === '' || text === '*') return null;
+  if (text === 'localhost') text = '127.0.0.1';
+  const mapped = text.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) text = mapped[1];
+  const family = net.isIP(text);
+  if (family === 4) return text;
+  if (family === 6) return compressIPv6(text);
+  return undefined;
+}
+
+function compressIPv6(text) {
+  if (text.includes('.')) return text; // embedded IPv4 tail — leave as written
+  const [head, tail = null] = text.split('::');
+  const parse = part => (part ? part.split(':') : []);
+  const left = parse(head);
+  const right = tail === null ? [] : parse(tail);
+  const groups = [...left, ...Array(8 - left.length - right.length).fill('0'), ...right]
+    .map(g => parseInt(g, 16).toString(16));
+  // Collapse the longest run of zero groups (RFC 5952)
+  let best = { start: -1, len: 1 };
+  for (let i = 0; i < 8; i++) {
+    let j = i;
+    while (j < 8 && groups[j] === '0') j++;
+    if (j - i > best.len) best = { start: i, len: j - i };
+    i = j;
+  }
+  if (best.start === -1) return groups.join(':');
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.len).join(':')}`;
+}
+
+// True for a normalized address this machine can bind: null / wildcard,
+// loopback, or an address on one of its network interfaces
+function isLocalAddress(address) {
+  if (address === null || WILDCARDS.includes(address)) return true;
+  if (address === '::1' || /^127\./.test(address)) return true;
+  return Object.values(os.networkInterfaces()).flat().some(i => normalizeAddress(i.address) === address);
+}
+
+// Validates { proto?, address? } from a request body or query. Throws HttpError 400.
+function parseBinding(source) {
+  const proto = source.proto === undefined || source.proto === '' ? 'tcp' : normalizeProto(source.proto);
+  if (!PROTOS.includes(proto)) {
+    throw new HttpError(400, 'proto must be "tcp" or "udp"');
+  }
+  const address = normalizeAddress(source.address);
+  if (address === undefined) {
+    throw new HttpError(400, 'address must be an IPv4 or IPv6 address (or omitted for all interfaces)');
+  }
+  if (!isLocalAddress(address)) {
+    throw new HttpError(400, `address ${address} is not on this machine — use a wildcard, loopback or one of its interface addresses`);
+  }
+  return { proto, address };
+}
+
+function covers(wildcard, address) {
+  if (wildcard === '::') return true;
+  return net.isIPv4(address) || address === '::';
+}
+
+// True if `a` and `b` could not both be bound to the same port at once
+function bindingsConflict(a, b) {
+  if (normalizeProto(a.proto || 'tcp') !== normalizeProto(b.proto || 'tcp')) return false;
+  const addrA = normalizeAddress(a.address);
+  const addrB = normalizeAddress(b.address);
+  if (!addrA || !addrB || addrA === addrB) return true;
+  if (WILDCARDS.includes(addrA)) return covers(addrA, addrB);
+  if (WILDCARDS.includes(addrB)) return covers(addrB, addrA);
+  return false;
+}
+
+// "3000", "5353/udp", "127.0.0.1:3000", "[::1]:5353/udp"
+function formatBinding(port, { proto, address } = {}) {
+  const host = address ? (address.includes(':') ? `[${address}]:` : `${address}:`) : '';
+  return `${host}${port}${proto && normalizeProto(proto) !== 'tcp' ? `/${normalizeProto(proto)}` : ''}`;
+}
+
+// Where a client should connect to reach `binding`: its own address, or
+// loopback for a wildcard bind (IPv6 loopback only when the OS shows nothing
+// but IPv6 sockets). `addresses` are the addresses the OS shows bound. Null
+// for an address that isn't on this machine (a registration stored before
+// addresses were checked), which is never connected to.
+function connectHost(binding, addresses = []) {
+  if (!isLocalAddress(normalizeAddress(binding.address))) return null;
+  if (binding.address && !WILDCARDS.includes(binding.address)) return binding.address;
+  if (addresses.length && addresses.every(a => a && a.includes(':'))) return '::1';
+  return '127.0.0.1';
+}
+
+module.exports = { PROTOS, normalizeAddress, isLocalAddress, parseBinding, bindingsConflict, formatBinding, connectHost };
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Server Configuration ──────────────────────────────────────────────────────
+//
+// Settings are layered, later sources winning: built-in defaults, an optional
+// port-register.config.json next to server.js (or the file named by --config /
+// $PORT_REGISTER_CONFIG), environment variables, then command-line flags.
+// Relative paths in the config file resolve against the file's directory;
+// relative paths from the environment or flags against the working directory.
+//
+// The config file uses the setting names below as keys, e.g.
+//   { "port": 4545, "dataFile": "/var/lib/port-register/ports.json",
+//     "corsOrigins": ["http://localhost:3000"], "suggestRange": "3000-3999" }
+// Settings marked `optional` can be switched off: null in the file, "off" in
+// the environment or on the command line.
+
+const CONFIG_FILE = 'port-register.config.json';
+
+// name -> { env, flag, type, default, optional?, help }. Path defaults are relative to the server directory.
+const SETTINGS = {
+  port: { env: 'PORT_REGISTER_PORT', flag: 'port', type: 'port', default: 4444, help: 'Port the web UI and API listen on' },
+  proxyPort: { env: 'PORT_REGISTER_PROXY_PORT', flag: 'proxy-port', type: 'port', default: null, optional: true, help: 'Port of the service proxy, http://<name>.localhost:<port>/ (off unless set, e.g. 4480)' },
+  host: { env: 'PORT_REGISTER_HOST', flag: 'host', type: 'string', default: null, help: 'Listen address (default: all interfaces)' },
+  publicUrl: { env: 'PORT_REGISTER_PUBLIC_URL', flag: 'public-url', type: 'url', default: null, help: 'Base URL the dashboard calls the API on (default: the page\'s own origin)' },
+  dataFile: { env: 'PORT_REGISTER_DATA_FILE', flag: 'data-file', type: 'path', default: 'ports.json', help: 'Registry file' },
+  historyFile: { env: 'PORT_REGISTER_HISTORY_FILE', flag: 'history-file', type: 'path', default: 'history.jsonl', help: 'Event history log' },
+  policyFile: { env: 'PORT_REGISTER_POLICY', flag: 'policy', type: 'path', default: 'policy.json', help: 'Port policy file' },
+  defaultTtlMinutes: { env: 'PORT_REGISTER_TTL_MINUTES', flag: 'ttl', type: 'minutes', default: 30, help: 'TTL for registrations that don\'t ask for one' },
+  maxTtlMinutes: { env: 'PORT_REGISTER_MAX_TTL_MINUTES', flag: 'max-ttl', type: 'minutes', default: null, help: 'Longest TTL anyone may ask for (on top of policy limits)' },
+  corsOrigins: { env: 'PORT_REGISTER_CORS_ORIGINS', flag: 'cors-origins', type: 'origins', default: ['*'], help: 'Origins allowed to call the API cross-site' },
+  scanIntervalMs: { env: 'PORT_REGISTER_SCAN_INTERVAL_MS', flag: 'scan-interval', type: 'ms', default: 5000, help: 'Background OS port table refresh' },
+  scanTimeoutMs: { env: 'PORT_REGISTER_SCAN_TIMEOUT_MS', flag: 'scan-timeout', type: 'ms', default: 8000, help: 'Time limit for ss / lsof / netstat' },
+  suggestRange: { env: 'PORT_REGISTER_SUGGEST_RANGE', flag: 'suggest-range', type: 'range', default: '3000-9999', help: 'Range suggest / claim use when neither the request nor the policy names one' },
+  suggestProbe: { env: 'PORT_REGISTER_SUGGEST_PROBE', flag: 'suggest-probe', type: 'boolean', default: false, help: 'Bind-probe suggested and claimed ports unless the request says otherwise' },
+};
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Converts and checks one raw value; `baseDir` resolves relative paths.
+// Strings (from the environment or flags) and JSON values are both accepted.
+function coerce(name, type, raw, where, baseDir) {
+  const fail = expected => { throw new ConfigError(`${name} ${where} must be ${expected} (got ${JSON.stringify(raw)})`); };
+  if (raw === null) return null;
+  const text = String(raw).trim();
+  switch (type) {
+    case 'port': {
+      const n = Number(text);
+      if (!Number.isInteger(n) || n < 1 || n > 65535) fail('a port number between 1 and 65535');
+      return n;
+    }
+    case 'minutes':
+    case 'ms': {
+      const n = Number(text);
+      if (!Number.isInteger(n) || n <= 0) fail(`a positive whole number of ${type === 'ms' ? 'milliseconds' : 'minutes'}`);
+      return n;
+    }
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(text)) return true;
+      if (['false', '0', 'no'].includes(text)) return false;
+      return fail('true or false');
+    case 'range': {
+      const m = text.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+      if (!m || Number(m[1]) < 1 || Number(m[2]) > 65535 || Number(m[1]) > Number(m[2])) fail('a "MIN-MAX" range within 1–65535');
+      return `${Number(m[1])}-${Number(m[2])}`;
+    }
+    case 'url':
+      if (!/^https?:\/\/[^/\s]+/.test(text)) fail('an http(s) URL');
+      return text.replace(/\/+$/, '');
+    case 'origins': {
+      const origins = (Array.isArray(raw) ? raw.map(String) : text.split(',')).map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+      if (!origins.length || origins.some(o => o !== '*' && !/^https?:\/\/[^/\s]+$/.test(o))) fail('"*" or a list of origins like http://localhost:3000');
+      if (origins.includes('*') && origins.length > 1) fail('either "*" or a list of origins, not both');
+      return origins;
+    }
+    case 'path':
+      if (!text) fail('a file path');
+      return path.resolve(baseDir, text);
+    default:
+      if (!text) fail('a non-empty string');
+      return text;
+  }
+}
+
+// { name: value } from --flag value / --flag=value arguments. Throws on unknown flags.
+function parseFlags(argv) {
+  const byFlag = new Map(Object.entries(SETTINGS).map(([name, s]) => [s.flag, name]));
+  const values = {};
+  let configFile;
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m) throw new ConfigError(`Unexpected argument "${argv[i]}"`);
+    const value = m[2] !== undefined ? m[2] : argv[++i];
+    if (m[1] !== 'config' && !byFlag.has(m[1])) throw new ConfigError(`Unknown option --${m[1]}`);
+    if (value === undefined) throw new ConfigError(`Missing value for --${m[1]}`);
+    if (m[1] === 'config') configFile = value;
+    else values[byFlag.get(m[1])] = value;
+  }
+  return { values, configFile };
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new ConfigError(`Config file ${file} does not exist`);
+    return null;
+  }
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new ConfigError(`${file} is not valid JSON (${e.message})`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new ConfigError(`${file} must contain a JSON object`);
+  const unknown = Object.keys(raw).filter(k => !SETTINGS[k]);
+  if (unknown.length) {
+    throw new ConfigError(`Unknown setting${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} in ${file} (expected ${Object.keys(SETTINGS).join(', ')})`);
+  }
+  return raw;
+}
+
+// Resolves the configuration. Returns { ...settings, sources, file } where
+// sources maps each setting to where its value came from (default, file, env
+// or flag). Throws ConfigError for anything invalid.
+function loadConfig({ argv = process.argv.slice(2), env = process.env, serverDir } = {}) {
+  const flags = parseFlags(argv);
+  const explicitFile = flags.configFile || env.PORT_REGISTER_CONFIG;
+  const file = explicitFile ? path.resolve(explicitFile) : path.join(serverDir, CONFIG_FILE);
+  const fromFile = readConfigFile(file, !!explicitFile);
+  const fileValues = fromFile || {};
+
+  const config = { sources: {}, file: fromFile ? file : null };
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    let value = setting.type === 'path' ? path.resolve(serverDir, setting.default) : setting.default;
+    let source = 'default';
+    if (fileValues[name] === null && setting.default !== null && !setting.optional) {
+      throw new ConfigError(`${name} in ${path.basename(file)} can't be null`);
+    }
+    const read = (raw, where, baseDir) => (setting.optional && String(raw).trim().toLowerCase() === 'off'
+      ? null
+      : coerce(name, setting.type, raw, where, baseDir));
+    if (fileValues[name] !== undefined) {
+      value = read(fileValues[name], `in ${path.basename(file)}`, path.dirname(file));
+      source = 'file';
+    }
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      value = read(env[setting.env], `($${setting.env})`, process.cwd());
+      source = 'env';
+    }
+    if (flags.values[name] !== undefined) {
+      value = read(flags.values[name], `(--${setting.flag})`, process.cwd());
+      source = 'flag';
+    }
+    config[name] = value;
+    config.sources[name] = source;
+  }
+
+  if (config.maxTtlMinutes !== null && config.defaultTtlMinutes > config.maxTtlMinutes) {
+    throw new ConfigError(`defaultTtlMinutes (${config.defaultTtlMinutes}) is longer than maxTtlMinutes (${config.maxTtlMinutes})`);
+  }
+  if (config.proxyPort === config.port) {
+    throw new ConfigError(`proxyPort and port must be different (both are ${config.port})`);
+  }
+  if (config.dataFile === config.historyFile) {
+    throw new ConfigError('dataFile and historyFile must be different files');
+  }
+  return config;
+}
+
+// Lines for the startup log: every setting, its value and where it came from
+function describeConfig(config) {
+  const width = Math.max(...Object.keys(SETTINGS).map(n => n.length));
+  const show = v => (v === null ? '—' : Array.isArray(v) ? v.join(', ') : String(v));
+  return Object.keys(SETTINGS).map(name =>
+    `${name.padEnd(width)}  ${show(config[name])}${config.sources[name] === 'default' ? '' : `  (${config.sources[name]})`}`);
+}
+
+// Usage text for --help
+function configHelp() {
+  return Object.entries(SETTINGS).map(([name, s]) =>
+    `  --${s.flag.padEnd(14)} $${s.env.padEnd(31)} ${s.help}${s.default !== null ? ` [${Array.isArray(s.default) ? s.default.join(',') : s.default}]` : ''}`);
+}
+
+module.exports = { loadConfig, describeConfig, configHelp, ConfigError, CONFIG_FILE, SETTINGS };
@@ -0,0 +1,78 @@
+// ─── OS Port Detection ─────────────────────────────────────────────────────────
+//
+// Each backend exposes { name, isSupported(), scan(opts) } where scan() resolves to
+// a Map<port, { pid, proto, state, process, bindings }> of listening TCP / bound
+// UDP ports and rejects if the underlying source can't be read. Scans never
+// block the event loop: files are read and commands run asynchronously. `bindings`
+// lists every socket on the port (see port-map.js). Backends are tried in
+// platform order; the first one that succeeds is remembered for later scans.
+// Command-based backends stop waiting after opts.timeoutMs.
+
+const procfs = require('./procfs');
+const ss = require('./ss');
+const lsof = require('./lsof');
+const netstat = require('./netstat');
+const { getAncestors } = require('./processes');
+
+const BACKENDS_BY_PLATFORM = {
+  linux: [procfs, ss, lsof],
+  darwin: [lsof],
+  win32: [netstat],
+};
+
+function backendsFor(platform) {
+  return (BACKENDS_BY_PLATFORM[platform] || [lsof, ss]).filter(b => b.isSupported());
+}
+
+const COMMAND_TIMEOUT_MS = 8000;
+
+let preferred = null;
+
+// Resolves to the port map, or null if no backend could read the OS port table
+async function getSystemPorts({ timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  const backends = backendsFor(process.platform);
+  if (preferred) backends.sort((a, b) => (b === preferred) - (a === preferred));
+
+  for (const backend of backends) {
+    try {
+      const portMap = await backend.scan({ timeoutMs });
+      preferred = backend;
+      return portMap;
+    } catch (e) {
+      console.error(`Port detection via ${backend.name} failed:`, e.message);
+      if (preferred === backend) preferred = null;
+    }
+  }
+  return null;
+}
+
+// Compares two port maps and returns { appeared, disappeared } as
+// [{ port, pid, proto, state, process }] lists
+function diffPortMaps(prev, next) {
+  const appeared = [];
+  const disappeared = [];
+  for (const [port, info] of next) {
+    if (!prev.has(port)) appeared.push({ port, ...info });
+  }
+  for (const [port, info] of prev) {
+    if (!next.has(port)) disappeared.push({ port, ...info });
+  }
+  return { appeared, disappeared };
+}
+
+// Signal 0 checks for existence without touching the process. EPERM means it
+// exists but belongs to another user.
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function activeBackend() {
+  return preferred ? preferred.name : null;
+}
+
+module.exports = { getSystemPorts, getAncestors, diffPortMaps, isProcessAlive, activeBackend, backendsFor };
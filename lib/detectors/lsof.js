@@ -0,0 +1,54 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { addBinding, splitHostPort } = require('./port-map');
+
+// macOS / BSD backend (and last-resort Linux fallback). Uses lsof's
+// machine-readable -F output: one field per line, prefixed by its tag.
+
+function isSupported() {
+  return process.platform !== 'win32';
+}
+
+const execFileAsync = promisify(execFile);
+
+async function run(args, timeoutMs) {
+  try {
+    const { stdout } = await execFileAsync('lsof', ['-nP', ...args, '-FpcPtn'], { encoding: 'utf-8', timeout: timeoutMs });
+    return stdout;
+  } catch (e) {
+    // lsof exits 1 when nothing matches — that's an empty result, not a failure
+    if (e.code === 1 && !e.stderr?.toString().trim()) return '';
+    throw e;
+  }
+}
+
+function parse(output, portMap) {
+  let pid = null;
+  let command = null;
+  let proto = null;
+  let type = null;
+  for (const line of output.split(/\r?\n/)) {
+    const tag = line[0];
+    const value = line.slice(1);
+    if (tag === 'p') { pid = parseInt(value); command = null; }
+    else if (tag === 'c') command = value;
+    else if (tag === 't') type = value; // IPv4 / IPv6 — tells us what "*" means
+    else if (tag === 'P') proto = value.toUpperCase();
+    else if (tag === 'n') {
+      // 127.0.0.1:3000, *:5353, [::1]:8080 — UDP may also carry "->remote"
+      const { address, port } = splitHostPort(value.split('->')[0], type === 'IPv6');
+      if (!(port > 0 && port <= 65535)) continue;
+      addBinding(portMap, port, { proto, address, pid, process: command });
+    }
+  }
+}
+
+async function scan({ timeoutMs }) {
+  const [tcp, udp] = await Promise.all([run(['-iTCP', '-sTCP:LISTEN'], timeoutMs), run(['-iUDP'], timeoutMs)]);
+  const portMap = new Map();
+  parse(tcp, portMap);
+  parse(udp, portMap);
+  return portMap;
+}
+
+module.exports = { name: 'lsof', isSupported, scan };
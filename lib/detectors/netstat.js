@@ -0,0 +1,55 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { addBinding, splitHostPort } = require('./port-map');
+
+// Windows backend: `netstat -ano` for sockets, `tasklist` for process names.
+
+function isSupported() {
+  return process.platform === 'win32';
+}
+
+const execFileAsync = promisify(execFile);
+
+// Build a map of PID -> process name from `tasklist`
+async function getPidMap(timeoutMs) {
+  try {
+    const { stdout: out } = await execFileAsync('tasklist', ['/FO', 'CSV', '/NH'], { encoding: 'utf-8', timeout: timeoutMs });
+    const map = new Map();
+    for (const line of out.split(/\r?\n/)) {
+      // CSV format: "process.exe","PID","Session","N","Mem"
+      const m = line.match(/^"([^"]+)","(\d+)"/);
+      if (m) map.set(parseInt(m[2]), m[1]);
+    }
+    return map;
+  } catch {
+    return new Map();
+  }
+}
+
+// Only includes ports that are actually BOUND/LISTENING — not outbound connections.
+// TCP: state must be LISTENING
+// UDP: always bound (no state column)
+async function scan({ timeoutMs }) {
+  const [{ stdout: output }, pidMap] = await Promise.all([
+    execFileAsync('netstat', ['-ano'], { encoding: 'utf-8', timeout: timeoutMs }),
+    getPidMap(timeoutMs),
+  ]);
+  const portMap = new Map();
+  for (const line of output.split(/\r?\n/)) {
+    //   TCP    0.0.0.0:135     0.0.0.0:0   LISTENING   1234
+    //   UDP    [::]:5353       *:*                     5678
+    const m = line.match(/^\s+(TCP|UDP)\s+(\S+)\s+\S+\s+(?:(\S+)\s+)?(\d+)\s*$/);
+    if (!m) continue;
+    const [, proto, local, state, pidStr] = m;
+    // Skip outbound connections — we only want listening/bound ports
+    if (proto === 'TCP' && state !== 'LISTENING') continue;
+    const { address, port } = splitHostPort(local);
+    const pid = parseInt(pidStr);
+    if (port > 0 && port <= 65535) {
+      addBinding(portMap, port, { proto, address, pid, process: pidMap.get(pid) || null });
+    }
+  }
+  return portMap;
+}
+
+module.exports = { name: 'netstat', isSupported, scan };
@@ -0,0 +1,35 @@
+// Shared by the backends: builds the Map<port, info> that scan() returns.
+//
+// A port can be bound several times — TCP and UDP, IPv4 and IPv6, or on
+// different local addresses. Every socket is kept in info.bindings as
+// { proto, address, pid, process, state }; the top-level pid / proto / state /
+// process describe the first one seen, so callers that only care whether the
+// port is busy can ignore the list.
+
+function addBinding(portMap, port, { proto, address, pid = null, process = null }) {
+  const binding = { proto, address, pid, process, state: proto === 'UDP' ? 'UDP' : 'LISTENING' };
+  let info = portMap.get(port);
+  if (!info) {
+    info = { pid, proto, state: binding.state, process, bindings: [] };
+    portMap.set(port, info);
+  }
+  const duplicate = info.bindings.some(b => b.proto === proto && b.address === address && b.pid === pid);
+  if (!duplicate) info.bindings.push(binding);
+  return info;
+}
+
+// Strips brackets and a zone / interface suffix: "[::1]" -> "::1",
+// "127.0.0.53%lo" -> "127.0.0.53". `*` becomes the wildcard for the family.
+function cleanAddress(host, ipv6 = host.includes(':')) {
+  const text = host.replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+  if (text === '*') return ipv6 ? '::' : '0.0.0.0';
+  return text.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+// "127.0.0.1:3000" / "[::1]:8080" / "*:5353" -> { address, port }
+function splitHostPort(local, ipv6) {
+  const idx = local.lastIndexOf(':');
+  return { address: cleanAddress(local.slice(0, idx), ipv6), port: parseInt(local.slice(idx + 1)) };
+}
+
+module.exports = { addBinding, cleanAddress, splitHostPort };
@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const { existsSync } = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+// ─── Process Ancestry ──────────────────────────────────────────────────────────
+//
+// The parent chain of each socket's PID, so a registration owned by a wrapper
+// (`port-register run`, npm run, sh -c, npx) counts as held by its owner when a
+// process the wrapper started is the one listening. Linux reads
+// /proc/<pid>/stat; other Unix systems ask ps once per scan. Windows has no
+// cheap equivalent, so there only the owner itself is recognised.
+
+const MAX_DEPTH = 32; // parent hops followed per PID
+
+const execFileAsync = promisify(execFile);
+
+async function procfsParent(pid) {
+  try {
+    const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf-8');
+    // "pid (comm) state ppid …" — comm may itself contain spaces and parentheses
+    return parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]) || null;
+  } catch {
+    return null; // exited, or not ours to read
+  }
+}
+
+async function psParents(timeoutMs) {
+  const { stdout } = await execFileAsync('ps', ['-A', '-o', 'pid=', '-o', 'ppid='], { encoding: 'utf-8', timeout: timeoutMs });
+  const parents = new Map();
+  for (const line of stdout.split('\n')) {
+    const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+    if (pid) parents.set(pid, ppid);
+  }
+  return parents;
+}
+
+// Resolves Map<pid, [parent, grandparent, …]> for `pids` (init itself left
+// out), or null where the process table can't be read
+async function getAncestors(pids, { timeoutMs } = {}) {
+  if (process.platform === 'win32') return null;
+  let parentOf = procfsParent;
+  if (!(process.platform === 'linux' && existsSync('/proc/self/stat'))) {
+    let parents;
+    try {
+      parents = await psParents(timeoutMs);
+    } catch {
+      return null;
+    }
+    parentOf = async pid => parents.get(pid) || null;
+  }
+  const ancestors = new Map();
+  await Promise.all([...new Set(pids)].map(async pid => {
+    const chain = [];
+    for (let p = await parentOf(pid); p > 1 && chain.length < MAX_DEPTH; p = await parentOf(p)) chain.push(p);
+    ancestors.set(pid, chain);
+  }));
+  return ancestors;
+}
+
+module.exports = { getAncestors };
@@ -0,0 +1,104 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { addBinding } = require('./port-map');
+const { normalizeAddress } = require('../bindings');
+
+// Linux backend: reads the kernel socket tables directly from /proc/net/* and
+// resolves socket inodes to PIDs by walking /proc/<pid>/fd. No child processes.
+
+const TABLES = [
+  { file: '/proc/net/tcp', proto: 'TCP' },
+  { file: '/proc/net/tcp6', proto: 'TCP' },
+  { file: '/proc/net/udp', proto: 'UDP' },
+  { file: '/proc/net/udp6', proto: 'UDP' },
+];
+
+const TCP_LISTEN = '0A';
+
+function isSupported() {
+  return process.platform === 'linux' && require('fs').existsSync('/proc/net/tcp');
+}
+
+// Kernel hex addresses are stored as host-order 32-bit words (little-endian
+// on every platform Node supports): "0100007F" is 127.0.0.1.
+function decodeAddress(hex) {
+  const words = hex.match(/.{8}/g).map(w => w.match(/../g).reverse().join(''));
+  if (words.length === 1) {
+    return words[0].match(/../g).map(b => parseInt(b, 16)).join('.');
+  }
+  return normalizeAddress(words.join('').match(/.{4}/g).join(':'));
+}
+
+// Returns [{ port, proto, address, inode }] for every listening TCP / bound UDP socket
+async function readTable(file, proto) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch {
+    return []; // tcp6/udp6 are absent when IPv6 is disabled
+  }
+  const rows = [];
+  for (const line of text.split('\n').slice(1)) {
+    const cols = line.trim().split(/\s+/);
+    if (cols.length < 10) continue;
+    // cols: sl local_address rem_address st tx:rx tr:when retrnsmt uid timeout inode
+    const [, local, , st] = cols;
+    if (proto === 'TCP' && st !== TCP_LISTEN) continue;
+    const [addrHex, portHex] = local.split(':');
+    const port = parseInt(portHex, 16);
+    const inode = cols[9];
+    if (port > 0 && port <= 65535) rows.push({ port, proto, address: decodeAddress(addrHex), inode });
+  }
+  return rows;
+}
+
+// Map socket inode -> pid. Only sees processes we are allowed to inspect;
+// sockets owned by other users resolve to a null pid.
+async function getInodePidMap() {
+  const map = new Map();
+  let pids;
+  try {
+    pids = (await fs.readdir('/proc')).filter(d => /^\d+$/.test(d));
+  } catch {
+    return map;
+  }
+  await Promise.all(pids.map(async pid => {
+    let fds;
+    try {
+      fds = await fs.readdir(path.join('/proc', pid, 'fd'));
+    } catch {
+      return;
+    }
+    for (const fd of fds) {
+      try {
+        const link = await fs.readlink(path.join('/proc', pid, 'fd', fd));
+        const m = link.match(/^socket:\[(\d+)\]$/);
+        if (m && !map.has(m[1])) map.set(m[1], parseInt(pid));
+      } catch { /* fd closed while reading */ }
+    }
+  }));
+  return map;
+}
+
+async function getProcessName(pid) {
+  try {
+    return (await fs.readFile(`/proc/${pid}/comm`, 'utf-8')).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+async function scan() {
+  const rows = (await Promise.all(TABLES.map(t => readTable(t.file, t.proto)))).flat();
+  const inodePids = await getInodePidMap();
+  const names = new Map();
+  const portMap = new Map();
+  for (const { port, proto, address, inode } of rows) {
+    const pid = inodePids.get(inode) || null;
+    if (pid && !names.has(pid)) names.set(pid, await getProcessName(pid));
+    addBinding(portMap, port, { proto, address, pid, process: pid ? names.get(pid) : null });
+  }
+  return portMap;
+}
+
+module.exports = { name: 'procfs', isSupported, scan };
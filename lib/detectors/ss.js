@@ -0,0 +1,37 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { addBinding, splitHostPort } = require('./port-map');
+
+// Linux fallback: `ss` from iproute2. Process info is only shown for sockets
+// owned by the current user unless the server runs as root.
+
+function isSupported() {
+  return process.platform === 'linux';
+}
+
+const execFileAsync = promisify(execFile);
+
+async function scan({ timeoutMs }) {
+  const { stdout: output } = await execFileAsync('ss', ['-ltnupH'], { encoding: 'utf-8', timeout: timeoutMs });
+  const portMap = new Map();
+  for (const line of output.split(/\r?\n/)) {
+    // tcp LISTEN 0 511 127.0.0.1:3000 0.0.0.0:* users:(("node",pid=1234,fd=20))
+    const cols = line.trim().split(/\s+/);
+    if (cols.length < 5) continue;
+    const proto = cols[0].toUpperCase();
+    if (proto !== 'TCP' && proto !== 'UDP') continue;
+    // ss prints a dual-stack wildcard as "*:port" and IPv6 as "[::1]:port"
+    const { address, port } = splitHostPort(cols[4], true);
+    if (!(port > 0 && port <= 65535)) continue;
+    const proc = line.match(/users:\(\("([^"]*)",pid=(\d+)/);
+    addBinding(portMap, port, {
+      proto,
+      address,
+      pid: proc ? parseInt(proc[2]) : null,
+      process: proc ? proc[1] : null,
+    });
+  }
+  return portMap;
+}
+
+module.exports = { name: 'ss', isSupported, scan };
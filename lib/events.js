@@ -0,0 +1,42 @@
+// ─── Live Events (Server-Sent Events) ──────────────────────────────────────────
+//
+// Fan-out hub for GET /api/events. publish() writes one SSE message to every
+// connected client.
+
+function createEventHub({ keepAliveMs = 25000, retryMs = 3000 } = {}) {
+  const clients = new Set();
+  let keepAlive = null;
+
+  function subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // don't let reverse proxies buffer the stream
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    clients.add(res);
+    if (clients.size === 1) {
+      keepAlive = setInterval(() => clients.forEach(c => c.write(': ping\n\n')), keepAliveMs);
+    }
+
+    req.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0) {
+        clearInterval(keepAlive);
+        keepAlive = null;
+      }
+    });
+  }
+
+  function publish(event, data, id) {
+    if (!clients.size) return;
+    const msg = `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(c => c.write(msg));
+  }
+
+  return { subscribe, publish, size: () => clients.size };
+}
+
+module.exports = { createEventHub };
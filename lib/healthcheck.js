@@ -0,0 +1,212 @@
+const net = require('net');
+const http = require('http');
+const { HttpError } = require('./http');
+const { connectHost } = require('./bindings');
+
+// ─── Health Checks ─────────────────────────────────────────────────────────────
+//
+// osInUse only says that something is bound to a port. A registration can
+// also declare a healthCheck saying what "up" means for its service:
+//
+//   { type: 'tcp' }                             a TCP connect succeeds
+//   { type: 'http', path, expectStatus }        GET path answers with expectStatus
+//                                               (default: any 2xx or 3xx)
+//   { type: 'process', process }                the OS shows `process` bound to the port
+//
+// tcp and http checks may name a `process` too; another process answering on
+// the port then reads as 'mismatch' instead of healthy. `intervalSeconds` and
+// `timeoutMs` set how often a check runs and how long it may take.
+//
+// Results — { status: healthy | unhealthy | mismatch, checkedAt, since,
+// latencyMs, error?, statusCode?, process? } — are kept in memory per
+// registration id, like stale tracking: a restart starts over and runs every
+// check straight away.
+
+const HEALTH_TYPES = ['tcp', 'http', 'process'];
+const DEFAULT_INTERVAL_SECONDS = 30;
+const MIN_INTERVAL_SECONDS = 5;
+const MAX_INTERVAL_SECONDS = 3600;
+const DEFAULT_TIMEOUT_MS = 2000;
+const MAX_TIMEOUT_MS = 30000;
+const MAX_PROCESS_NAME_LENGTH = 128;
+const CHECK_CONCURRENCY = 8;
+const SPEC_FIELDS = ['type', 'path', 'expectStatus', 'process', 'intervalSeconds', 'timeoutMs'];
+
+function integerIn(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new HttpError(400, `healthCheck.${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Validates a healthCheck body field and fills in the defaults. Throws HttpError 400.
+function parseHealthCheck(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new HttpError(400, `healthCheck must be an object with a type (${HEALTH_TYPES.join(', ')})`);
+  }
+  const unknown = Object.keys(raw).filter(k => !SPEC_FIELDS.includes(k));
+  if (unknown.length) throw new HttpError(400, `Unknown healthCheck field: ${unknown.join(', ')}`);
+  if (!HEALTH_TYPES.includes(raw.type)) {
+    throw new HttpError(400, `healthCheck.type must be one of ${HEALTH_TYPES.join(', ')}`);
+  }
+
+  const spec = { type: raw.type };
+  if (raw.type === 'http') {
+    const path = raw.path === undefined ? '/' : raw.path;
+    if (typeof path !== 'string' || !path.startsWith('/') || /\s/.test(path)) {
+      throw new HttpError(400, 'healthCheck.path must be a URL path starting with /');
+    }
+    spec.path = path;
+    if (raw.expectStatus !== undefined) spec.expectStatus = integerIn('expectStatus', raw.expectStatus, 100, 599);
+  } else if (raw.path !== undefined || raw.expectStatus !== undefined) {
+    throw new HttpError(400, 'healthCheck.path and expectStatus only apply to http checks');
+  }
+  if (raw.process !== undefined || raw.type === 'process') {
+    if (typeof raw.process !== 'string' || !raw.process.trim() || raw.process.length > MAX_PROCESS_NAME_LENGTH) {
+      throw new HttpError(400, `healthCheck.process must be a process name (up to ${MAX_PROCESS_NAME_LENGTH} characters)`);
+    }
+    spec.process = raw.process.trim();
+  }
+  spec.intervalSeconds = raw.intervalSeconds === undefined
+    ? DEFAULT_INTERVAL_SECONDS
+    : integerIn('intervalSeconds', raw.intervalSeconds, MIN_INTERVAL_SECONDS, MAX_INTERVAL_SECONDS);
+  spec.timeoutMs = raw.timeoutMs === undefined
+    ? DEFAULT_TIMEOUT_MS
+    : integerIn('timeoutMs', raw.timeoutMs, 100, MAX_TIMEOUT_MS);
+  return spec;
+}
+
+// "node.exe" and "Node" are the same process
+function sameProcess(expected, actual) {
+  const normalize = name => String(name).toLowerCase().replace(/\.exe$/, '');
+  return normalize(expected) === normalize(actual);
+}
+
+function tcpCheck(host, port, timeoutMs) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const socket = net.connect({ host, port });
+    const done = result => {
+      socket.destroy();
+      resolve({ latencyMs: Date.now() - started, ...result });
+    };
+    socket.setTimeout(timeoutMs, () => done({ ok: false, error: `no connection within ${timeoutMs} ms` }));
+    socket.once('connect', () => done({ ok: true }));
+    socket.once('error', e => done({ ok: false, error: e.code || e.message }));
+  });
+}
+
+function httpCheck(host, port, spec) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    let settled = false;
+    const done = result => {
+      if (settled) return;
+      settled = true;
+      resolve({ latencyMs: Date.now() - started, ...result });
+    };
+    const req = http.get({ host, port, path: spec.path, timeout: spec.timeoutMs, headers: { 'User-Agent': 'port-register-health' } }, res => {
+      res.resume();
+      req.destroy();
+      const ok = spec.expectStatus ? res.statusCode === spec.expectStatus : res.statusCode < 400;
+      done({
+        ok,
+        statusCode: res.statusCode,
+        ...(ok ? {} : { error: `HTTP ${res.statusCode}, expected ${spec.expectStatus || '2xx or 3xx'}` }),
+      });
+    });
+    req.once('timeout', () => {
+      req.destroy();
+      done({ ok: false, error: `no response within ${spec.timeoutMs} ms` });
+    });
+    req.once('error', e => done({ ok: false, error: e.code || e.message }));
+  });
+}
+
+// Runs one check. `os` is what the last OS scan shows for the registration's
+// socket: { listening (true / false / null when unknown), process, addresses }.
+async function runCheck(reg, spec, os) {
+  const processMismatch = () => spec.process && os.process && !sameProcess(spec.process, os.process);
+  if (spec.type === 'process') {
+    if (os.listening === null) return { status: 'unhealthy', latencyMs: null, error: 'OS port table unavailable' };
+    if (!os.listening) return { status: 'unhealthy', latencyMs: null, error: 'not listening' };
+    if (processMismatch()) return { status: 'mismatch', latencyMs: null, process: os.process, error: `"${os.process}" is bound, not "${spec.process}"` };
+    return { status: 'healthy', latencyMs: null, process: os.process };
+  }
+
+  const host = connectHost(reg, os.addresses);
+  if (!host) return { status: 'unhealthy', latencyMs: null, error: `address ${reg.address} is not on this machine` };
+  const result = spec.type === 'http'
+    ? await httpCheck(host, reg.port, spec)
+    : await tcpCheck(host, reg.port, spec.timeoutMs);
+  const { ok, ...details } = result;
+  if (ok && processMismatch()) {
+    return { status: 'mismatch', ...details, process: os.process, error: `answered by "${os.process}", not "${spec.process}"` };
+  }
+  return { status: ok ? 'healthy' : 'unhealthy', ...details, ...(os.process ? { process: os.process } : {}) };
+}
+
+function createHealthChecker({ now = Date.now } = {}) {
+  const state = new Map(); // registration id -> { specKey, result, nextAt, running }
+  let running = 0;
+
+  function entryFor(reg) {
+    const specKey = JSON.stringify(reg.healthCheck);
+    let entry = state.get(reg.id);
+    // A changed check starts over: old results describe a different question
+    if (!entry || entry.specKey !== specKey) {
+      entry = { specKey, result: null, nextAt: 0, running: false };
+      state.set(reg.id, entry);
+    }
+    return entry;
+  }
+
+  // Registrations whose check should start now, at most the free concurrency slots
+  function due(registrations) {
+    const t = now();
+    return registrations
+      .filter(r => r.healthCheck)
+      .filter(r => {
+        const entry = entryFor(r);
+        return !entry.running && t >= entry.nextAt;
+      })
+      .slice(0, Math.max(CHECK_CONCURRENCY - running, 0));
+  }
+
+  // Runs reg's check and resolves { result, changed } — changed when the
+  // status differs from the previous result
+  async function run(reg, os) {
+    const entry = entryFor(reg);
+    const spec = reg.healthCheck;
+    entry.running = true;
+    running++;
+    try {
+      const outcome = await runCheck(reg, spec, os);
+      const previous = entry.result;
+      const changed = !previous || previous.status !== outcome.status;
+      const checkedAt = new Date(now()).toISOString();
+      entry.result = { ...outcome, checkedAt, since: changed ? checkedAt : previous.since };
+      return { result: entry.result, changed };
+    } finally {
+      entry.running = false;
+      entry.nextAt = now() + spec.intervalSeconds * 1000;
+      running--;
+    }
+  }
+
+  // Last result for a registration, or null before its first check
+  function result(reg) {
+    const entry = reg.healthCheck ? state.get(reg.id) : null;
+    return entry && entry.specKey === JSON.stringify(reg.healthCheck) ? entry.result : null;
+  }
+
+  // Drops state for registrations that are gone
+  function retain(registrations) {
+    const ids = new Set(registrations.filter(r => r.healthCheck).map(r => r.id));
+    for (const id of state.keys()) if (!ids.has(id)) state.delete(id);
+  }
+
+  return { due, run, result, retain };
+}
+
+module.exports = { createHealthChecker, parseHealthCheck, HEALTH_TYPES };
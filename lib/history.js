@@ -0,0 +1,91 @@
+const fs = require('fs');
+
+// ─── Event History ─────────────────────────────────────────────────────────────
+//
+// Append-only JSON Lines log of everything that happens to the registry.
+// Each line is { id, ts, type, port, agent, ...details }. When the active file
+// grows past `maxBytes` it is rotated to <file>.1, <file>.2, … keeping
+// `maxFiles` old generations. Queries read newest-first across all of them.
+
+const EVENT_TYPES = ['register', 'heartbeat', 'release', 'force-clear', 'expire', 'conflict', 'wait', 'transfer', 'release-request', 'update'];
+
+function createHistory(file, { maxBytes = 5 * 1024 * 1024, maxFiles = 3 } = {}) {
+  const generations = () => [file, ...Array.from({ length: maxFiles }, (_, i) => `${file}.${i + 1}`)];
+
+  function readEvents(path) {
+    let text;
+    try {
+      text = fs.readFileSync(path, 'utf-8');
+    } catch {
+      return [];
+    }
+    const events = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch { /* torn last line after a crash — skip it */ }
+    }
+    return events;
+  }
+
+  function findLastId() {
+    for (const path of generations()) {
+      const events = readEvents(path);
+      if (events.length) return events[events.length - 1].id || 0;
+    }
+    return 0;
+  }
+
+  let lastId = findLastId();
+
+  function rotate() {
+    const files = generations();
+    fs.rmSync(files[files.length - 1], { force: true });
+    for (let i = files.length - 2; i >= 0; i--) {
+      if (fs.existsSync(files[i])) fs.renameSync(files[i], files[i + 1]);
+    }
+  }
+
+  function record(event) {
+    const entry = { id: ++lastId, ts: new Date().toISOString(), ...event };
+    try {
+      if (fs.existsSync(file) && fs.statSync(file).size >= maxBytes) rotate();
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error('Could not write history event:', e.message);
+    }
+    return entry;
+  }
+
+  // Filters: { port, agent, type, since } — `since` is an ISO date or epoch ms
+  // and is exclusive. Returns { events, hasMore } with events newest-first.
+  // Walks the generations newest to oldest and stops as soon as the page (plus
+  // one event to answer `hasMore`) is filled, or once it is past `since`, so
+  // the older generations are only read for deep pages or rare filters.
+  function query({ port, agent, type, since, limit = 100, offset = 0 } = {}) {
+    const sinceMs = since === undefined ? null : (isNaN(Number(since)) ? Date.parse(since) : Number(since));
+    const types = type ? String(type).split(',') : null;
+    const wanted = offset + limit + 1;
+
+    const matches = [];
+    scan: for (const path of generations()) {
+      const events = readEvents(path);
+      for (let i = events.length - 1; i >= 0; i--) {
+        const e = events[i];
+        // The log is append-only, so everything further back is older still
+        if (sinceMs !== null && Date.parse(e.ts) <= sinceMs) break scan;
+        if (port !== undefined && e.port !== port) continue;
+        if (agent && e.agent !== agent) continue;
+        if (types && !types.includes(e.type)) continue;
+        matches.push(e);
+        if (matches.length >= wanted) break scan;
+      }
+    }
+    return { events: matches.slice(offset, offset + limit), hasMore: matches.length > offset + limit };
+  }
+
+  return { file, record, query };
+}
+
+module.exports = { createHistory, EVENT_TYPES };
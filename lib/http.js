@@ -0,0 +1,29 @@
+// ─── HTTP Helpers ──────────────────────────────────────────────────────────────
+
+// Thrown from route handlers (or store mutations) to send a JSON error.
+// `extra` fields are merged into the response body next to `error`.
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Wraps an async route handler so thrown HttpErrors become JSON responses and
+// anything else becomes a 500 instead of an unhandled rejection.
+function route(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(err => {
+      if (res.headersSent) return;
+      if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message, ...err.extra });
+      }
+      console.error(`${req.method} ${req.path} failed:`, err);
+      res.status(500).json({ error: `Internal error: ${err.message}` });
+    });
+  };
+}
+
+module.exports = { HttpError, route };
@@ -0,0 +1,91 @@
+// ─── Metrics ───────────────────────────────────────────────────────────────────
+//
+// A minimal Prometheus registry: counters and histograms that routes and
+// background jobs update as things happen, and gauges read on demand when
+// /metrics is scraped. render() produces the text exposition format (0.0.4).
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(n) {
+  return Number.isFinite(n) ? String(n) : n > 0 ? '+Inf' : n < 0 ? '-Inf' : 'NaN';
+}
+
+function createMetrics() {
+  const families = [];
+
+  function register(name, help, type, samples) {
+    if (families.some(f => f.name === name)) throw new Error(`Metric ${name} is already registered`);
+    families.push({ name, help, type, samples });
+  }
+
+  // Only goes up. inc(labels?, by?). With `labelNames`, each series appears the
+  // first time it's incremented; without, the single series starts at 0.
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // formatted labels -> value
+    if (!labelNames.length) series.set('', 0);
+    register(name, help, 'counter', () => [...series].map(([labels, value]) => `${name}${labels} ${formatValue(value)}`));
+    return {
+      inc(labels = {}, by = 1) {
+        const key = formatLabels(labels);
+        series.set(key, (series.get(key) || 0) + by);
+      },
+    };
+  }
+
+  // Read at scrape time: collect() returns a number, or [{ labels, value }]
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', () => {
+      const result = collect();
+      const samples = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+      return samples.map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    });
+  }
+
+  // Cumulative buckets (upper bounds, ascending) plus _sum and _count
+  function histogram(name, help, buckets) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+    register(name, help, 'histogram', () => [
+      ...buckets.map((le, i) => `${name}_bucket{le="${le}"} ${counts[i]}`),
+      `${name}_bucket{le="+Inf"} ${count}`,
+      `${name}_sum ${formatValue(sum)}`,
+      `${name}_count ${count}`,
+    ]);
+    return {
+      observe(value) {
+        buckets.forEach((le, i) => { if (value <= le) counts[i]++; });
+        sum += value;
+        count++;
+      },
+    };
+  }
+
+  // A gauge whose collect() throws is left out of that scrape rather than
+  // failing the whole response
+  function render() {
+    const lines = [];
+    for (const family of families) {
+      let samples;
+      try {
+        samples = family.samples();
+      } catch (e) {
+        console.error(`Metric ${family.name} could not be collected:`, e.message);
+        continue;
+      }
+      lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`, ...samples);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
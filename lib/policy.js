@@ -0,0 +1,122 @@
+const fs = require('fs');
+
+// ─── Port Policy ───────────────────────────────────────────────────────────────
+//
+// Optional policy.json (or $PORT_REGISTER_POLICY) describing:
+//   defaultRange  range used by suggest/claim when none is given
+//   pools         named ranges, e.g. { "web": "3000-3999" }
+//   reserved      [{ ports: "5432" | "6000-6099", reason }] — never handed out
+//   limits        { default: { maxRegistrations, maxTtlMinutes, staleGraceMinutes,
+//                 autoReleaseStale }, agents: { name: {…} } }
+// Ranges are "N" or "MIN-MAX" strings. A missing file means no restrictions.
+//
+// Server settings fill in around the file: `defaults.defaultRange` is used
+// when the file sets none, `defaults.maxTtlMinutes` caps every agent's TTL
+// whatever the file allows, and `defaults.selfPort` — the port the server
+// listens on — is always reserved, so the file never has to name it.
+
+const DEFAULT_RANGE = '3000-9999';
+
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+function parseRangeString(value, where) {
+  const m = String(value).match(/^\s*(\d+)\s*(?:[-–]\s*(\d+)\s*)?$/);
+  const min = m ? parseInt(m[1]) : NaN;
+  const max = m && m[2] ? parseInt(m[2]) : min;
+  if (isNaN(min) || min < 1 || max > 65535 || min > max) {
+    throw new PolicyError(`Invalid port range "${value}" in ${where} — use "N" or "MIN-MAX" within 1–65535`);
+  }
+  return { min, max };
+}
+
+function formatRange({ min, max }) {
+  return min === max ? String(min) : `${min}-${max}`;
+}
+
+function normalizeLimits(raw = {}, where) {
+  const limits = {};
+  for (const key of ['maxRegistrations', 'maxTtlMinutes', 'staleGraceMinutes']) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n <= 0) throw new PolicyError(`${where}.${key} must be a positive number`);
+    limits[key] = n;
+  }
+  if (raw.autoReleaseStale !== undefined) {
+    if (typeof raw.autoReleaseStale !== 'boolean') throw new PolicyError(`${where}.autoReleaseStale must be true or false`);
+    limits.autoReleaseStale = raw.autoReleaseStale;
+  }
+  return limits;
+}
+
+function createPolicy(raw = {}, source = null, defaults = {}) {
+  const defaultRange = parseRangeString(raw.defaultRange || defaults.defaultRange || DEFAULT_RANGE, 'defaultRange');
+  const serverMaxTtl = defaults.maxTtlMinutes || null;
+
+  const pools = {};
+  for (const [name, range] of Object.entries(raw.pools || {})) {
+    pools[name] = parseRangeString(range, `pools.${name}`);
+  }
+
+  const reserved = (raw.reserved || []).map((entry, i) => {
+    if (!entry || entry.ports === undefined) throw new PolicyError(`reserved[${i}] needs a "ports" value`);
+    return { ...parseRangeString(entry.ports, `reserved[${i}]`), reason: entry.reason || 'Reserved' };
+  });
+  if (defaults.selfPort) {
+    reserved.unshift({ min: defaults.selfPort, max: defaults.selfPort, reason: 'Port Register itself' });
+  }
+
+  const rawLimits = raw.limits || {};
+  const defaultLimits = normalizeLimits(rawLimits.default, 'limits.default');
+  const agentLimits = {};
+  for (const [agent, limits] of Object.entries(rawLimits.agents || {})) {
+    agentLimits[agent] = normalizeLimits(limits, `limits.agents.${agent}`);
+  }
+
+  // Reserved entry covering `port`, or null
+  function reservedFor(port) {
+    return reserved.find(r => port >= r.min && port <= r.max) || null;
+  }
+
+  function limitsFor(agent) {
+    const limits = { ...defaultLimits, ...(agentLimits[agent] || {}) };
+    if (serverMaxTtl) limits.maxTtlMinutes = Math.min(limits.maxTtlMinutes || Infinity, serverMaxTtl);
+    return limits;
+  }
+
+  function pool(name) {
+    return pools[name] || null;
+  }
+
+  function toJSON() {
+    return {
+      source,
+      defaultRange: formatRange(defaultRange),
+      pools: Object.fromEntries(Object.entries(pools).map(([name, r]) => [name, formatRange(r)])),
+      reserved: reserved.map(r => ({ ports: formatRange(r), reason: r.reason })),
+      limits: { default: defaultLimits, agents: agentLimits },
+      ...(serverMaxTtl ? { serverMaxTtlMinutes: serverMaxTtl } : {}),
+    };
+  }
+
+  return { defaultRange, reservedFor, limitsFor, pool, toJSON };
+}
+
+// Loads the policy file, or an unrestricted policy if it doesn't exist.
+// Throws PolicyError if the file is present but invalid.
+function loadPolicy(file, defaults = {}) {
+  if (!fs.existsSync(file)) return createPolicy({}, null, defaults);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new PolicyError(`${file} is not valid JSON (${e.message})`);
+  }
+  return createPolicy(raw, file, defaults);
+}
+
+module.exports = { loadPolicy, createPolicy, formatRange, PolicyError };
@@ -0,0 +1,120 @@
+const net = require('net');
+const dgram = require('dgram');
+
+// ─── Bind Probing ──────────────────────────────────────────────────────────────
+//
+// The OS port table doesn't show everything — sockets lingering in TIME_WAIT,
+// ports the OS reserves or excludes (Windows excluded port ranges), or anything
+// at all when the table can't be read. A bind probe asks the kernel directly:
+// bind the socket, then close it straight away.
+//
+// Probes are opt-in, time-limited, and share one concurrency limit so a range
+// scan can't open hundreds of sockets at once. Two probes of the same socket
+// at the same time share one bind — otherwise the second would hit the first's
+// socket and report a free port as taken.
+
+const PROBE_TIMEOUT_MS = 1000;
+const PROBE_CONCURRENCY = 16;
+
+// Runs at most `max` async tasks at a time; the rest wait in FIFO order
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+  function next() {
+    if (active >= max || !waiting.length) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  }
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+const limit = createLimiter(PROBE_CONCURRENCY);
+const inFlight = new Map(); // "tcp 127.0.0.1 3000" -> pending probe
+
+function bindTcp(port, address) {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', reject);
+    // No host means all interfaces — dual-stack "::" where IPv6 is available
+    server.listen({ port, host: address || undefined, exclusive: true }, () => server.close(() => resolve()));
+  });
+}
+
+function bindUdp(port, address, type = address && net.isIPv4(address) ? 'udp4' : 'udp6') {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type });
+    socket.unref();
+    socket.once('error', e => {
+      try { socket.close(); } catch { /* never bound */ }
+      // No IPv6 on this host: "all interfaces" means 0.0.0.0 instead
+      if (!address && type === 'udp6' && e.code === 'EAFNOSUPPORT') {
+        resolve(bindUdp(port, address, 'udp4'));
+      } else {
+        reject(e);
+      }
+    });
+    const host = address || (type === 'udp6' ? '::' : '0.0.0.0');
+    socket.bind({ port, address: host, exclusive: true }, () => socket.close(() => resolve()));
+  });
+}
+
+// Resolves { free, code?, ms }: free is true if the bind succeeded, false if
+// the kernel refused it (code is the errno — EADDRINUSE, EACCES, EADDRNOTAVAIL),
+// and null if the probe timed out.
+function probeBind(port, { proto = 'tcp', address = null } = {}, { timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+  const key = `${proto} ${address || '*'} ${port}`;
+  if (!inFlight.has(key)) {
+    const probe = bindOnce(port, proto, address, timeoutMs);
+    inFlight.set(key, probe);
+    probe.finally(() => inFlight.delete(key));
+  }
+  return inFlight.get(key);
+}
+
+function bindOnce(port, proto, address, timeoutMs) {
+  return limit(async () => {
+    const started = Date.now();
+    const attempt = proto === 'udp' ? bindUdp(port, address) : bindTcp(port, address);
+    attempt.catch(() => {}); // may settle after the timeout
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs, 'timeout'); });
+    try {
+      const outcome = await Promise.race([attempt.then(() => 'bound'), timeout]);
+      return outcome === 'bound'
+        ? { free: true, ms: Date.now() - started }
+        : { free: null, code: 'ETIMEDOUT', ms: Date.now() - started };
+    } catch (e) {
+      return { free: false, code: e.code || e.message, ms: Date.now() - started };
+    } finally {
+      clearTimeout(timer);
+    }
+  });
+}
+
+// Probes candidates from an iterable a batch at a time (batch = the
+// concurrency limit) and resolves { port, probe } for the first, in iteration
+// order, that binds — or null when the iterable runs out.
+async function firstBindable(ports, binding) {
+  const iterator = ports[Symbol.iterator]();
+  for (;;) {
+    const batch = [];
+    for (let step = iterator.next(); !step.done; step = iterator.next()) {
+      batch.push(step.value);
+      if (batch.length === PROBE_CONCURRENCY) break;
+    }
+    if (!batch.length) return null;
+    const results = await Promise.all(batch.map(p => probeBind(p, binding)));
+    const i = results.findIndex(r => r.free === true);
+    if (i !== -1) return { port: batch[i], probe: results[i] };
+  }
+}
+
+module.exports = { probeBind, firstBindable, PROBE_TIMEOUT_MS, PROBE_CONCURRENCY };
@@ -0,0 +1,209 @@
+const http = require('http');
+const net = require('net');
+
+// ─── Service Proxy ─────────────────────────────────────────────────────────────
+//
+// Registrations can carry a service `name`. The proxy forwards requests for a
+// name to whatever port that name is registered on right now, so links stay
+// stable while ports change: http://<name>.localhost:<proxyPort>/…
+//
+// Services are only served from the dedicated proxy port, never from the
+// dashboard's origin — a page served by any registered service would otherwise
+// run with the dashboard's origin and could read its stored admin token.
+//
+// Plain HTTP and WebSocket upgrades are both forwarded. There is no route table
+// to keep in sync: `resolve(name)` is asked on every request and answers from
+// the registry as it is at that moment — { host, port, registration } for a
+// live TCP registration, or null. A name that resolves to a port nothing is
+// listening on gets a 502 page that retries by itself.
+//
+// *.localhost resolves to loopback in browsers and most resolvers, so no DNS
+// setup is needed.
+
+const RETRY_SECONDS = 5;
+// Headers that describe one connection, not the request (RFC 9110 §7.6.1)
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+// "api" from "api.localhost:4480"; null for anything else
+function nameFromHost(hostHeader) {
+  const m = String(hostHeader || '').toLowerCase().match(/^([a-z0-9-]+)\.localhost(?::\d+)?$/);
+  return m ? m[1] : null;
+}
+
+function withoutHopByHop(headers) {
+  const out = { ...headers };
+  for (const name of HOP_BY_HOP) delete out[name];
+  return out;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// ─── Pages ─────────────────────────────────────────────────────────────────────
+
+function page(title, body, { retry = false } = {}) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${retry ? `<meta http-equiv="refresh" content="${RETRY_SECONDS}">\n` : ''}<title>${escapeHtml(title)} — Port Register</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: grid; place-items: center; background: #0a0d12; color: #c9d1e0; font: 15px/1.6 system-ui, sans-serif; }
+  main { max-width: 560px; padding: 32px 36px; background: #111520; border: 1px solid rgba(255, 255, 255, 0.09); border-radius: 12px; }
+  h1 { margin: 0 0 12px; font-size: 20px; color: #fff; }
+  code { font: 13px ui-monospace, monospace; color: #00d4e8; }
+  a { color: #00d4e8; }
+  ul { padding-left: 20px; }
+  .muted { color: #7a859c; font-size: 13px; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function unavailablePage(name, target, error) {
+  const reg = target.registration;
+  return page(`${name} isn't answering`, `
+<p>Port Register routes <code>${escapeHtml(name)}</code> to port <code>${target.port}</code>,
+registered by <code>${escapeHtml(reg.agent)}</code> for “${escapeHtml(reg.reason)}”,
+but nothing accepted the connection (<code>${escapeHtml(error)}</code>).</p>
+<p>The service may still be starting, or may have stopped without releasing its port.</p>
+<p class="muted">This page retries every ${RETRY_SECONDS} seconds.</p>`, { retry: true });
+}
+
+function routeList(routes, urlFor) {
+  if (!routes.length) return '<p class="muted">No registration has a service name yet.</p>';
+  return `<ul>${routes.map(r => `<li><a href="${escapeHtml(urlFor(r.name))}">${escapeHtml(r.name)}</a> → port ${r.port} <span class="muted">(${escapeHtml(r.agent)})</span></li>`).join('')}</ul>`;
+}
+
+function unknownPage(name, routes, urlFor) {
+  return page(`No service named ${name}`, `
+<p>No active registration is called <code>${escapeHtml(name)}</code> — it may have been released or expired.
+Register a port with <code>"name": "${escapeHtml(name)}"</code> and this address starts working.</p>
+${routeList(routes, urlFor)}`);
+}
+
+function indexPage(routes, urlFor) {
+  return page('Port Register service proxy', `
+<p>Open <code>http://&lt;name&gt;.localhost:&lt;port&gt;/</code> to reach a registered service by name.</p>
+${routeList(routes, urlFor)}`);
+}
+
+// ─── Proxy ─────────────────────────────────────────────────────────────────────
+
+// `resolve(name)` → { host, port, registration } | null; `routes()` → [{ name, port, agent }]
+// for the help pages. `onRequest(name, outcome)` sees every request: proxied,
+// unknown or unavailable.
+function createServiceProxy({ resolve, routes, onRequest = () => {} }) {
+  function forwardedHeaders(req) {
+    const forwardedFor = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+    return {
+      'x-forwarded-for': forwardedFor,
+      'x-forwarded-host': req.headers.host || '',
+      'x-forwarded-proto': 'http',
+    };
+  }
+
+  // Redirects from the service point at its real port; send clients back through the proxy
+  function rewriteLocation(location, target, base) {
+    const m = String(location).match(/^https?:\/\/(?:localhost|127\.0\.0\.1|\[::1\])(?::(\d+))?(\/[^]*)?$/i);
+    if (m && Number(m[1] || 80) === target.port) return `${base}${m[2] || '/'}`;
+    return location;
+  }
+
+  // `base` is the URL clients reach this service under, e.g. "http://api.localhost:4480"
+  function web(req, res, { name, path, base }) {
+    const target = resolve(name);
+    if (!target) {
+      onRequest(name, 'unknown');
+      return sendPage(res, 404, unknownPage(name, routes(), urlFor(req)));
+    }
+    const upstream = http.request({
+      host: target.host,
+      port: target.port,
+      method: req.method,
+      path,
+      headers: { ...withoutHopByHop(req.headers), ...forwardedHeaders(req) },
+    }, response => {
+      onRequest(name, 'proxied');
+      const headers = withoutHopByHop(response.headers);
+      if (headers.location) headers.location = rewriteLocation(headers.location, target, base);
+      res.writeHead(response.statusCode, response.statusMessage, headers);
+      response.pipe(res);
+    });
+    upstream.on('error', e => {
+      if (res.headersSent) return res.destroy();
+      onRequest(name, 'unavailable');
+      sendPage(res, 502, unavailablePage(name, target, e.code || e.message));
+    });
+    // A client that goes away mid-response takes the upstream request with it
+    res.on('close', () => { if (!res.writableFinished) upstream.destroy(); });
+    req.pipe(upstream);
+  }
+
+  // Replays the upgrade request on a raw connection to the service and then
+  // splices the two sockets together
+  function upgrade(req, socket, head, { name, path }) {
+    const target = resolve(name);
+    if (!target) {
+      onRequest(name, 'unknown');
+      return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    }
+    const upstream = net.connect({ host: target.host, port: target.port }, () => {
+      onRequest(name, 'proxied');
+      const headers = {
+        ...withoutHopByHop(req.headers),
+        ...forwardedHeaders(req),
+        connection: 'Upgrade',
+        upgrade: req.headers.upgrade,
+      };
+      const lines = Object.entries(headers).flatMap(([k, v]) => [].concat(v).map(value => `${k}: ${value}`));
+      upstream.write(`${req.method} ${path} HTTP/1.1\r\n${lines.join('\r\n')}\r\n\r\n`);
+      if (head && head.length) upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', () => {
+      if (upstream.connecting) onRequest(name, 'unavailable');
+      socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    });
+    socket.on('error', () => upstream.destroy());
+    socket.on('close', () => upstream.destroy());
+  }
+
+  // Links on the help pages use the address the client came in on
+  function urlFor(req) {
+    const port = String(req.headers.host || '').match(/:(\d+)$/);
+    return name => `http://${name}.localhost${port ? `:${port[1]}` : ''}/`;
+  }
+
+  // The service is the Host's subdomain
+  function handleHostRequest(req, res) {
+    const name = nameFromHost(req.headers.host);
+    if (!name) return sendPage(res, 404, indexPage(routes(), urlFor(req)));
+    web(req, res, { name, path: req.url, base: `http://${req.headers.host}` });
+  }
+
+  function handleHostUpgrade(req, socket, head) {
+    const name = nameFromHost(req.headers.host);
+    if (!name) return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    upgrade(req, socket, head, { name, path: req.url });
+  }
+
+  return { handleHostRequest, handleHostUpgrade };
+}
+
+function sendPage(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(html);
+}
+
+module.exports = { createServiceProxy, nameFromHost };
@@ -0,0 +1,149 @@
+const { HttpError } = require('./http');
+
+// ─── List Queries ──────────────────────────────────────────────────────────────
+//
+// Filters, sorting and paging for GET /api/ports and GET /api/ports/system,
+// parsed from the query string:
+//
+//   agent=a,b          held by any of these agents
+//   tag=x&tag=y        carries every one of these tags (also tag=x,y)
+//   label.KEY=v        label KEY equals v (v1,v2 for any of them)
+//   portMin, portMax   port range, inclusive
+//   osInUse=true       the OS shows the socket bound (or not, with false)
+//   expiringWithin=N   expires within N minutes (permanent ones never do)
+//   registered=false   system ports only: nobody registered them
+//   q=text             case-insensitive substring of port, agent, reason,
+//                      service name, group, tags, labels (and process, for
+//                      system ports)
+//   sort=-expiresAt    sort field, "-" for descending
+//   limit, offset      paging over the sorted matches
+
+const MAX_LIMIT = 1000;
+
+// Comma-separated and/or repeated parameters as one flat list
+function list(value) {
+  return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function parseBool(name, value) {
+  if (['true', '1'].includes(String(value))) return true;
+  if (['false', '0'].includes(String(value))) return false;
+  throw new HttpError(400, `${name} must be true or false`);
+}
+
+function parseInteger(name, value, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new HttpError(400, `${name} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+// Throws HttpError 400 for malformed values
+function parseFilters(query) {
+  const filters = {};
+  if (query.agent !== undefined) filters.agents = list(query.agent);
+  if (query.tag !== undefined) filters.tags = list(query.tag);
+  const labels = Object.entries(query)
+    .filter(([key]) => key.startsWith('label.') && key.length > 6)
+    .map(([key, value]) => [key.slice(6), list(value)]);
+  if (labels.length) filters.labels = labels;
+  if (query.portMin !== undefined) filters.portMin = parseInteger('portMin', query.portMin, 1, 65535);
+  if (query.portMax !== undefined) filters.portMax = parseInteger('portMax', query.portMax, 1, 65535);
+  if (query.osInUse !== undefined) filters.osInUse = parseBool('osInUse', query.osInUse);
+  if (query.registered !== undefined) filters.registered = parseBool('registered', query.registered);
+  if (query.expiringWithin !== undefined) {
+    filters.expiringWithin = Number(query.expiringWithin);
+    if (!(filters.expiringWithin > 0)) throw new HttpError(400, 'expiringWithin must be a positive number of minutes');
+  }
+  if (query.q !== undefined && String(query.q).trim()) filters.q = String(query.q).trim().toLowerCase();
+  return filters;
+}
+
+// { field, desc } from "field" / "-field"; `fields` lists what may be sorted on
+function parseSort(value, fields) {
+  if (value === undefined || value === '') return { field: fields[0], desc: false };
+  const desc = String(value).startsWith('-');
+  const field = String(value).replace(/^[-+]/, '');
+  if (!fields.includes(field)) {
+    throw new HttpError(400, `sort must be one of ${fields.join(', ')} (prefix with - for descending)`);
+  }
+  return { field, desc };
+}
+
+// { filters, sort, limit, offset } for a list route. limit is null for "all".
+function parseListQuery(query, sortFields) {
+  return {
+    filters: parseFilters(query),
+    sort: parseSort(query.sort, sortFields),
+    limit: query.limit === undefined ? null : parseInteger('limit', query.limit, 1, MAX_LIMIT),
+    offset: query.offset === undefined ? 0 : parseInteger('offset', query.offset, 0, Number.MAX_SAFE_INTEGER),
+  };
+}
+
+function inPortRange(port, filters) {
+  return (filters.portMin === undefined || port >= filters.portMin) &&
+    (filters.portMax === undefined || port <= filters.portMax);
+}
+
+function searchText(reg) {
+  return [
+    reg.port, reg.agent, reg.reason, reg.name, reg.groupId, reg.groupName,
+    ...(reg.tags || []),
+    ...Object.entries(reg.labels || {}).map(([k, v]) => `${k}=${v}`),
+  ].filter(v => v !== undefined && v !== null).join('\n').toLowerCase();
+}
+
+// The filters that look at a registration itself
+function registrationMatches(reg, filters, now) {
+  if (filters.agents && !filters.agents.includes(reg.agent)) return false;
+  if (filters.tags && !filters.tags.every(t => (reg.tags || []).includes(t))) return false;
+  if (filters.labels && !filters.labels.every(([key, values]) => reg.labels && values.includes(reg.labels[key]))) return false;
+  if (filters.expiringWithin !== undefined && !(reg.expiresAt && reg.expiresAt - now <= filters.expiringWithin * 60000)) return false;
+  return true;
+}
+
+const REGISTRATION_FILTERS = ['agents', 'tags', 'labels', 'expiringWithin'];
+
+// For /api/ports entries (registrations with the osInUse field added)
+function matchesRegistration(reg, filters, now = Date.now()) {
+  if (!inPortRange(reg.port, filters)) return false;
+  if (filters.osInUse !== undefined && reg.osInUse !== filters.osInUse) return false;
+  if (filters.q && !searchText(reg).includes(filters.q)) return false;
+  return registrationMatches(reg, filters, now);
+}
+
+// For /api/ports/system entries: every one is in use by definition, and the
+// registration filters match ports with at least one matching registration
+function matchesSystemPort(entry, filters, now = Date.now()) {
+  if (!inPortRange(entry.port, filters)) return false;
+  if (filters.osInUse === false) return false;
+  if (filters.registered !== undefined && entry.registered !== filters.registered) return false;
+  if (REGISTRATION_FILTERS.some(f => filters[f] !== undefined) &&
+    !entry.registrations.some(r => registrationMatches(r, filters, now))) return false;
+  if (filters.q) {
+    const text = [entry.port, entry.process, entry.pid, ...entry.registrations.map(searchText)].join('\n').toLowerCase();
+    if (!text.includes(filters.q)) return false;
+  }
+  return true;
+}
+
+// Sorted copy; missing values sort last either way, ties keep port order
+function sortItems(items, { field, desc }) {
+  const dir = desc ? -1 : 1;
+  return [...items].sort((a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y || (x == null && y == null)) return a.port - b.port;
+    if (x == null) return 1;
+    if (y == null) return -1;
+    const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+    return order * dir || a.port - b.port;
+  });
+}
+
+function paginate(items, { limit, offset }) {
+  return items.slice(offset, limit === null ? undefined : offset + limit);
+}
+
+module.exports = { parseListQuery, matchesRegistration, matchesSystemPort, sortItems, paginate };
@@ -0,0 +1,49 @@
+// ─── Stale Registration Tracking ───────────────────────────────────────────────
+//
+// Watches registrations against successive OS scans and remembers, per
+// registration id, since when it has not been listening. A registration that
+// has never listened counts from when it was made (or from when tracking
+// started, after a restart); one that stopped counts from the first scan that
+// no longer saw it. State is in memory only, so a restart restarts the clocks.
+
+function createReconciler({ now = Date.now } = {}) {
+  const startedAt = now();
+  const listened = new Set(); // ids seen listening at least once
+  const quietSince = new Map(); // id -> ms since which it hasn't been listening
+
+  // Records one scan. `isListening(reg)` says whether the OS shows the
+  // registration's socket bound right now.
+  function observe(registrations, isListening) {
+    const t = now();
+    const ids = new Set();
+    for (const reg of registrations) {
+      ids.add(reg.id);
+      if (isListening(reg)) {
+        listened.add(reg.id);
+        quietSince.delete(reg.id);
+      } else if (!quietSince.has(reg.id)) {
+        quietSince.set(reg.id, listened.has(reg.id) ? t : Math.max(Date.parse(reg.registeredAt), startedAt));
+      }
+    }
+    // Forget registrations that are gone
+    for (const id of listened) if (!ids.has(id)) listened.delete(id);
+    for (const id of quietSince.keys()) if (!ids.has(id)) quietSince.delete(id);
+  }
+
+  // null while listening (or not yet observed), otherwise
+  // { reason: 'never-listened' | 'stopped-listening', since, graceEndsAt, flagged }
+  function status(reg, graceMs) {
+    const since = quietSince.get(reg.id);
+    if (since === undefined) return null;
+    return {
+      reason: listened.has(reg.id) ? 'stopped-listening' : 'never-listened',
+      since: new Date(since).toISOString(),
+      graceEndsAt: new Date(since + graceMs).toISOString(),
+      flagged: now() - since >= graceMs,
+    };
+  }
+
+  return { observe, status };
+}
+
+module.exports = { createReconciler };
@@ -0,0 +1,106 @@
+const { EventEmitter } = require('events');
+const { getSystemPorts, getAncestors, diffPortMaps, activeBackend } = require('./detectors');
+
+// ─── OS Port Scanner ───────────────────────────────────────────────────────────
+//
+// Keeps an in-memory snapshot of the OS port table, refreshed in the background
+// every `intervalMs` (each scan's commands limited to `timeoutMs`), so
+// requests read the last scan instead of waiting on /proc, ss, lsof or
+// netstat. Concurrent refreshes share one scan.
+//
+// Emits 'scan' (the snapshot) after every successful scan, 'scan-failed'
+// ({ error, durationMs }) after every failed one, and 'diff'
+// ({ appeared, disappeared, ts }) whenever listeners come or go between two
+// scans, for anything that wants to react to OS-level changes.
+
+function createScanner({ intervalMs = 5000, timeoutMs } = {}) {
+  const scanner = new EventEmitter();
+  let ports = null;
+  let ancestors = null; // Map<pid, [parent, …]> for the PIDs in `ports`
+  let scannedAt = null;
+  let backend = null;
+  let lastError = null;
+  let durationMs = null; // how long the last successful scan took
+  let inFlight = null;
+  let timer = null;
+
+  // { ports, ancestors, scannedAt, ageMs, durationMs, backend, error }. A
+  // failed scan keeps the last good table (its age keeps growing) and reports
+  // the failure in `error`. `ancestors` is null where the process table can't
+  // be read.
+  function snapshot() {
+    return {
+      ports,
+      ancestors,
+      scannedAt,
+      ageMs: scannedAt ? Date.now() - scannedAt : null,
+      durationMs,
+      backend,
+      error: lastError,
+    };
+  }
+
+  function fail(error, started) {
+    lastError = error;
+    scanner.emit('scan-failed', { error, durationMs: Date.now() - started });
+  }
+
+  async function scan() {
+    const started = Date.now();
+    let next;
+    try {
+      next = await getSystemPorts({ timeoutMs });
+    } catch (e) {
+      return fail(e.message, started);
+    }
+    if (next === null) return fail('No port detection backend could read the OS port table', started);
+    const pids = [...next.values()].flatMap(info => info.bindings.map(b => b.pid)).filter(Boolean);
+    const nextAncestors = await getAncestors(pids, { timeoutMs }).catch(() => null);
+    const prev = ports;
+    ports = next;
+    ancestors = nextAncestors;
+    scannedAt = Date.now();
+    durationMs = scannedAt - started;
+    backend = activeBackend();
+    lastError = null;
+    if (prev) {
+      const { appeared, disappeared } = diffPortMaps(prev, next);
+      if (appeared.length || disappeared.length) {
+        scanner.emit('diff', { appeared, disappeared, ts: new Date(scannedAt).toISOString() });
+      }
+    }
+    scanner.emit('scan', snapshot());
+  }
+
+  // Rescans now (or joins the scan already running) and resolves to the new snapshot
+  function refresh() {
+    if (!inFlight) {
+      inFlight = scan()
+        .catch(e => console.error('OS scan listener failed:', e))
+        .finally(() => { inFlight = null; });
+    }
+    return inFlight.then(snapshot);
+  }
+
+  // The snapshot for a request: scans first when `fresh` is set or there has
+  // never been a successful scan
+  function current({ fresh = false } = {}) {
+    return fresh || !scannedAt ? refresh() : Promise.resolve(snapshot());
+  }
+
+  function start() {
+    if (timer) return;
+    refresh();
+    timer = setInterval(refresh, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return Object.assign(scanner, { intervalMs, start, stop, refresh, current, snapshot });
+}
+
+module.exports = { createScanner };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Registry Storage ──────────────────────────────────────────────────────────
+//
+// Keeps the registry in memory and writes it through to disk after every
+// mutation. Writes are atomic (temp file + fsync + rename), the previous good
+// file is kept as <file>.bak, and mutations run one at a time through a
+// promise queue so async work inside a mutation can't interleave with another.
+
+const SCHEMA_VERSION = 4;
+
+// MIGRATIONS[n] upgrades a version-n document to version n+1
+const MIGRATIONS = {
+  // v1: the original unversioned { registrations: [] } file
+  1: data => ({ version: 2, registrations: data.registrations }),
+  // v2: TTL is stored per registration (30 minutes was the only server default),
+  // and far-future expiresAt values (over 30 days out) — the old way to pin a
+  // port — become first-class permanent registrations
+  2: data => ({
+    version: 3,
+    registrations: data.registrations.map(r => (
+      r.expiresAt && r.expiresAt - Date.now() > 30 * 24 * 60 * 60 * 1000
+        ? { ...r, permanent: true, expiresAt: null, ttlMinutes: null }
+        : { ...r, ttlMinutes: r.ttlMinutes || 30 }
+    )),
+  }),
+  // v3: registrations carry the socket they stand for — everything before was
+  // implicitly TCP on all interfaces
+  3: data => ({
+    version: 4,
+    registrations: data.registrations.map(r => ({ proto: 'tcp', address: null, ...r })),
+  }),
+};
+
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+function emptyDocument() {
+  return { version: SCHEMA_VERSION, registrations: [] };
+}
+
+function migrate(data, file) {
+  let doc = data;
+  let version = doc.version || 1;
+  if (version > SCHEMA_VERSION) {
+    throw new StorageError(`${file} has schema version ${version}, but this server only understands up to ${SCHEMA_VERSION}`);
+  }
+  while (version < SCHEMA_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+  return doc;
+}
+
+function validate(doc, file) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.registrations)) {
+    throw new StorageError(`${file} is not a valid registry document (missing "registrations" array)`);
+  }
+}
+
+// `beforeCommit(draft, tx)` runs after every mutation callback, inside the
+// same transaction — for invariants that must hold whatever the mutation was.
+function createStore(file, { beforeCommit } = {}) {
+  const backupFile = `${file}.bak`;
+  const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+
+  let data = null;
+  let serialized = null;
+  let queue = Promise.resolve();
+  let lastWriteAt = null;
+  let lastWriteError = null;
+
+  function write(doc) {
+    const text = JSON.stringify(doc, null, 2);
+    if (text === serialized) return; // nothing changed
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (fs.existsSync(file)) fs.copyFileSync(file, backupFile);
+    fs.renameSync(tempFile, file);
+    serialized = text;
+    lastWriteAt = Date.now();
+    lastWriteError = null;
+  }
+
+  // Loads and migrates the registry. Throws StorageError rather than silently
+  // starting empty if the file exists but can't be parsed.
+  function load() {
+    if (!fs.existsSync(file)) {
+      data = emptyDocument();
+      write(data);
+      return data;
+    }
+    const text = fs.readFileSync(file, 'utf-8');
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      const hint = fs.existsSync(backupFile) ? ` The last good copy is at ${backupFile}.` : '';
+      throw new StorageError(`${file} is corrupt (${e.message}). Refusing to start with an empty registry.${hint}`);
+    }
+    validate(parsed, file);
+    const migrated = migrate(parsed, file);
+    validate(migrated, file);
+    serialized = text;
+    data = migrated;
+    write(data); // persists the migration, no-op if already current
+    return data;
+  }
+
+  // Current committed registry. Treat as read-only — change it via mutate().
+  function read() {
+    if (!data) throw new StorageError('Store not loaded');
+    return data;
+  }
+
+  // Runs fn(draft, tx) against a copy of the registry, then persists and
+  // commits the copy. If fn throws (or the write fails) nothing is committed.
+  // Callbacks passed to tx.afterCommit() run only once the change is on disk,
+  // so side effects (history, notifications) never describe a rolled-back write.
+  // Resolves with fn's return value.
+  function mutate(fn) {
+    const task = queue.then(async () => {
+      const draft = structuredClone(read());
+      const hooks = [];
+      const tx = { afterCommit: cb => hooks.push(cb) };
+      const result = await fn(draft, tx);
+      if (beforeCommit) beforeCommit(draft, tx);
+      try {
+        write(draft);
+      } catch (e) {
+        lastWriteError = { message: e.message, at: Date.now() };
+        throw e;
+      }
+      data = draft;
+      for (const hook of hooks) {
+        try {
+          hook();
+        } catch (e) {
+          console.error('afterCommit hook failed:', e);
+        }
+      }
+      return result;
+    });
+    queue = task.catch(() => {});
+    return task;
+  }
+
+  // { writable, error?, lastWriteAt } — whether the next write should succeed:
+  // the directory (for the temp file and backup) and the file must be
+  // writable, and the last write attempt must not have failed
+  function health() {
+    const at = ms => (ms ? new Date(ms).toISOString() : null);
+    try {
+      fs.accessSync(path.dirname(file), fs.constants.W_OK);
+      if (fs.existsSync(file)) fs.accessSync(file, fs.constants.W_OK);
+    } catch (e) {
+      return { writable: false, error: e.message, lastWriteAt: at(lastWriteAt) };
+    }
+    if (lastWriteError) {
+      return { writable: false, error: `Last write failed at ${at(lastWriteError.at)}: ${lastWriteError.message}`, lastWriteAt: at(lastWriteAt) };
+    }
+    return { writable: true, lastWriteAt: at(lastWriteAt) };
+  }
+
+  return { file, load, read, mutate, health };
+}
+
+module.exports = { createStore, StorageError, SCHEMA_VERSION };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+// ─── Wait Queue ────────────────────────────────────────────────────────────────
+//
+// Agents waiting for a busy port, in arrival order per port. The queue only
+// tracks waiters; handing a freed port to one is the server's job (it grants
+// inside the registry transaction that frees the port).
+//
+// A waiter is settled exactly once: 'granted' (with the new registration and
+// lease token), 'expired' (its own wait timeout passed), 'rejected' (e.g. a
+// policy violation at hand-off time) or 'cancelled' (the caller gave up or
+// went away). Long-poll waiters that stop polling for `abandonAfterMs` are
+// cancelled by sweep().
+
+function createWaitQueue({ abandonAfterMs = 60000 } = {}) {
+  const waiters = new Map(); // id -> waiter, in insertion (= arrival) order
+
+  // opts: { port, binding, agent, reason, ttlMinutes, pid, timeoutMs, hold }
+  function enqueue({ timeoutMs, ...opts }) {
+    const now = Date.now();
+    const waiter = {
+      id: `w-${crypto.randomBytes(12).toString('hex')}`, // also the long-poll credential
+      ...opts,
+      since: now,
+      expiresAt: now + timeoutMs,
+      lastSeen: now,
+      status: 'waiting',
+      result: null,
+      listeners: new Set(),
+    };
+    waiters.set(waiter.id, waiter);
+    return waiter;
+  }
+
+  function get(id) {
+    return waiters.get(id) || null;
+  }
+
+  // Waiting entries for `port`, first in line first
+  function forPort(port) {
+    return [...waiters.values()].filter(w => w.port === port && w.status === 'waiting');
+  }
+
+  // Ports that have anyone waiting
+  function ports() {
+    return [...new Set([...waiters.values()].filter(w => w.status === 'waiting').map(w => w.port))];
+  }
+
+  // 1-based place in line, or null once settled
+  function position(waiter) {
+    if (waiter.status !== 'waiting') return null;
+    return forPort(waiter.port).indexOf(waiter) + 1;
+  }
+
+  function settle(waiter, status, result = null) {
+    if (waiter.status !== 'waiting') return;
+    waiter.status = status;
+    waiter.result = result;
+    waiter.listeners.forEach(fn => fn(waiter));
+    waiter.listeners.clear();
+    // Held requests get the outcome directly; long-pollers collect it once
+    if (waiter.hold || status === 'cancelled') waiters.delete(waiter.id);
+  }
+
+  // Hands a settled long-poll waiter's outcome over and forgets the waiter
+  function collect(waiter) {
+    waiters.delete(waiter.id);
+    return waiter;
+  }
+
+  // Resolves with the waiter once it settles, or after `ms` if it hasn't
+  function next(waiter, ms) {
+    waiter.lastSeen = Date.now();
+    if (waiter.status !== 'waiting') return Promise.resolve(waiter);
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        waiter.listeners.delete(done);
+        waiter.lastSeen = Date.now();
+        resolve(waiter);
+      };
+      const timer = setTimeout(done, ms);
+      waiter.listeners.add(done);
+    });
+  }
+
+  // Expires waiters past their timeout and cancels long-pollers nobody is
+  // polling; also drops settled outcomes that were never collected.
+  // Returns the waiters it expired or cancelled.
+  function sweep(now = Date.now()) {
+    const removed = [];
+    for (const waiter of waiters.values()) {
+      const polling = waiter.listeners.size > 0;
+      if (waiter.status !== 'waiting') {
+        if (now - waiter.lastSeen > abandonAfterMs) waiters.delete(waiter.id);
+      } else if (now >= waiter.expiresAt) {
+        settle(waiter, 'expired');
+        removed.push(waiter);
+      } else if (!waiter.hold && !polling && now - waiter.lastSeen > abandonAfterMs) {
+        settle(waiter, 'cancelled', { reason: 'abandoned — not polled' });
+        removed.push(waiter);
+      }
+    }
+    return removed;
+  }
+
+  // What the API shows about a waiter — never its id, which is its credential
+  function describe(waiter) {
+    return {
+      port: waiter.port,
+      proto: waiter.binding.proto,
+      address: waiter.binding.address,
+      agent: waiter.agent,
+      reason: waiter.reason,
+      position: position(waiter),
+      since: new Date(waiter.since).toISOString(),
+      expiresAt: new Date(waiter.expiresAt).toISOString(),
+    };
+  }
+
+  return { enqueue, get, forPort, ports, position, settle, collect, next, sweep, describe };
+}
+
+module.exports = { createWaitQueue };
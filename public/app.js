@@ -2,14 +2,23 @@
    Port Register — Frontend App Logic
 ════════════════════════════════════════════════════════════ */
 
-const API = 'http://localhost:4444/api';
+// Served by the instance itself (GET /config.js), so the dashboard talks to
+// whichever server it was loaded from
+const SERVER_CONFIG = window.PORT_REGISTER_CONFIG || {};
+const API = SERVER_CONFIG.apiBase || '/api';
 const REFRESH_INTERVAL = 10000; // 10s
 
 let allRegistrations = [];
+let waitQueues = {}; // port -> agents queued for it (see POST /api/ports/:port/wait)
+let searchResults = null; // registrations matching the search box, null while it is empty
+let searchSeq = 0; // drops search answers that arrive after a newer search
 let refreshTimer = null;
 let countdown = REFRESH_INTERVAL / 1000;
 let pendingReleasePort = null;
+let pendingReleaseQuery = ''; // ?proto=&address= when a port is held for several sockets
+let pendingReleaseGroup = null;
 let pendingClearAll = false;
+let pendingEdit = null; // { reg, mode: 'extend' | 'edit' } while the edit modal is open
 
 // ─── Utility ───────────────────────────────────────────────────────────────────
 
@@ -32,6 +41,11 @@ function formatRelative(isoStr) {
     return `${s}s`;
 }
 
+function expiresCell(r, className) {
+    if (r.permanent) return `<span class="${className}" title="Permanent — never expires">Permanent</span>`;
+    return `<span class="${className}" title="${new Date(r.expiresAt).toLocaleString()}${r.ttlMinutes ? ` · TTL ${r.ttlMinutes}m` : ''}">${formatRelative(r.expiresAt)}</span>`;
+}
+
 function isExpiringSoon(isoStr) {
     if (!isoStr) return false;
     return (new Date(isoStr) - Date.now()) < 5 * 60 * 1000; // < 5 min
@@ -60,11 +74,11 @@ function toast(msg, type = 'info') {
 
 // ─── Activity Log ──────────────────────────────────────────────────────────────
 
-function log(msg, type = '') {
+function log(msg, type = '', when = new Date()) {
     const log = $('eventLog');
     const entry = document.createElement('div');
     entry.className = `log-entry ${type ? 'log-' + type : ''}`;
-    const ts = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const ts = new Date(when).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
     entry.textContent = `[${ts}] ${msg}`;
     log.appendChild(entry);
     log.scrollTop = log.scrollHeight;
@@ -72,6 +86,70 @@ function log(msg, type = '') {
     while (log.children.length > 80) log.removeChild(log.firstChild);
 }
 
+// Server-side history: every register/heartbeat/release/expiry/conflict, not
+// just what this tab did. Polled incrementally using the last event's timestamp.
+const seenEventIds = new Set();
+let lastEventTs = null;
+
+const EVENT_LOG_TYPES = {
+    register: 'success',
+    heartbeat: 'info',
+    release: 'warn',
+    'force-clear': 'warn',
+    expire: 'warn',
+    conflict: 'error',
+    wait: 'info',
+    update: 'info',
+    transfer: 'success',
+    'release-request': 'info',
+};
+
+function describeEvent(e) {
+    switch (e.type) {
+        case 'register': return `"${e.agent}" registered port ${e.port}${e.via ? ` (${e.via})` : ''}${e.groupId ? ` [${e.groupId}]` : ''} — ${e.reason}`;
+        case 'heartbeat': return `"${e.agent}" refreshed port ${e.port}`;
+        case 'release':
+            if (e.by === 'system') return `Port ${e.port} ("${e.agent}") auto-released — ${e.cause}`;
+            return `Port ${e.port} released${e.by === 'admin' ? ' by admin' : ` by "${e.agent}"`}`;
+        case 'force-clear': return `All registrations force-cleared (${e.count})`;
+        case 'expire': return `Port ${e.port} ("${e.agent}") expired`;
+        case 'conflict': return `"${e.agent}" tried to register port ${e.port} — held by "${e.heldBy}"`;
+        case 'wait':
+            if (e.status === 'queued') return `"${e.agent}" is waiting for port ${e.port} (#${e.position} in line)`;
+            if (e.status === 'expired') return `"${e.agent}" gave up waiting for port ${e.port} — timed out`;
+            if (e.status === 'rejected') return `"${e.agent}" was refused port ${e.port} — ${e.error}`;
+            return `"${e.agent}" stopped waiting for port ${e.port}${e.cause ? ` — ${e.cause}` : ''}`;
+        case 'update': return `Port ${e.port} ("${e.agent}") updated — ${e.changes.join(', ')}${e.by === 'admin' ? ' by admin' : ''}`;
+        case 'transfer': return `Port ${e.port} handed from "${e.from}" to "${e.agent}"${e.by === 'admin' ? ' by admin' : ''}`;
+        case 'release-request':
+            if (e.status === 'requested') return `"${e.agent}" asked "${e.heldBy}" for port ${e.port}${e.message ? ` — ${e.message}` : ''}`;
+            return `"${e.heldBy}" ${e.status} "${e.agent}"'s request for port ${e.port}${e.answer ? ` — ${e.answer}` : ''}`;
+        default: return `${e.type} ${e.port || ''}`;
+    }
+}
+
+async function fetchHistory() {
+    // Step back 1ms so events sharing the last timestamp aren't missed; ids dedupe
+    const qs = lastEventTs
+        ? `since=${new Date(lastEventTs).getTime() - 1}&limit=200`
+        : 'limit=50';
+    try {
+        const res = await fetch(`${API}/history?${qs}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        data.events.slice().reverse().forEach(appendHistoryEvent);
+    } catch (e) {
+        log(`History fetch failed: ${e.message}`, 'error');
+    }
+}
+
+function appendHistoryEvent(e) {
+    if (seenEventIds.has(e.id)) return;
+    seenEventIds.add(e.id);
+    lastEventTs = e.ts;
+    log(describeEvent(e), EVENT_LOG_TYPES[e.type] || 'info', e.ts);
+}
+
 // ─── Server Status ─────────────────────────────────────────────────────────────
 
 function setStatus(state, text) {
@@ -82,12 +160,16 @@ function setStatus(state, text) {
 
 // ─── Fetch Registrations ───────────────────────────────────────────────────────
 
-async function fetchRegistrations() {
+// `fresh` makes the server rescan the OS port table instead of using its
+// background snapshot
+async function fetchRegistrations(fresh = false) {
     try {
-        const res = await fetch(`${API}/ports`);
+        const res = await fetch(`${API}/ports${fresh ? '?fresh=1' : ''}`);
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         allRegistrations = data.registrations || [];
+        waitQueues = data.queues || {};
+        await fetchSearchResults();
         setStatus('connected', 'Connected');
         updateStats();
         renderTable(applyFilter());
@@ -108,13 +190,81 @@ function updateStats() {
 // ─── Table Rendering ───────────────────────────────────────────────────────────
 
 function applyFilter() {
-    const q = $('searchInput').value.trim().toLowerCase();
-    if (!q) return allRegistrations;
-    return allRegistrations.filter(r =>
-        String(r.port).includes(q) ||
-        r.agent.toLowerCase().includes(q) ||
-        r.reason.toLowerCase().includes(q)
-    );
+    return searchResults || allRegistrations;
+}
+
+// ─── Search ────────────────────────────────────────────────────────────────────
+
+// The search box is turned into /api/ports filters, so matching happens on the
+// server:  agent:NAME  tag:NAME  KEY=VALUE (label)  3000-3999  in-use
+// not-listening  expiring:MINUTES  sort:FIELD (-FIELD descending). Values with
+// spaces go in quotes (tag:"load test"); any other words are a text search.
+const SEARCH_DEBOUNCE_MS = 300;
+
+function searchParams(text) {
+    const params = new URLSearchParams();
+    const words = [];
+    const tokens = text.match(/[^\s"]+="[^"]*"|[^\s"]+:"[^"]*"|"[^"]*"|\S+/g) || [];
+    for (const raw of tokens) {
+        const token = raw.replace(/"/g, '');
+        let m;
+        if ((m = token.match(/^(agent|tag|sort):(.+)$/i))) params.append(m[1].toLowerCase(), m[2]);
+        else if ((m = token.match(/^expiring:(\d+)$/i))) params.set('expiringWithin', m[1]);
+        else if ((m = token.match(/^(\d+)-(\d+)$/))) { params.set('portMin', m[1]); params.set('portMax', m[2]); }
+        else if ((m = token.match(/^(?:label\.)?([A-Za-z0-9][\w.\/-]*)=(.+)$/))) params.append(`label.${m[1]}`, m[2]);
+        else if (/^(in-use|listening)$/i.test(token)) params.set('osInUse', 'true');
+        else if (/^not-listening$/i.test(token)) params.set('osInUse', 'false');
+        else words.push(token);
+    }
+    if (words.length) params.set('q', words.join(' '));
+    return params;
+}
+
+// Runs the search box query; a rejected query (bad sort field, …) marks the box
+async function fetchSearchResults() {
+    const seq = ++searchSeq;
+    const params = searchParams($('searchInput').value);
+    if (![...params.keys()].length) {
+        searchResults = null;
+        $('searchInput').classList.remove('input-invalid');
+        return;
+    }
+    let results = [];
+    let error = null;
+    try {
+        const res = await fetch(`${API}/ports?${params}`);
+        const data = await res.json();
+        if (res.ok) results = data.registrations;
+        else error = data.error || `HTTP ${res.status}`;
+    } catch (e) {
+        error = e.message;
+    }
+    if (seq !== searchSeq) return;
+    searchResults = results;
+    $('searchInput').classList.toggle('input-invalid', !!error);
+    $('searchInput').title = error || '';
+}
+
+// Clicking a tag or label chip narrows the search to it
+function addSearchToken(token) {
+    const box = $('searchInput');
+    if (!box.value.split(/\s+/).includes(token)) box.value = `${box.value.trim()} ${token}`.trim();
+    fetchSearchResults().then(() => renderTable(applyFilter()));
+}
+
+function searchToken(prefix, value) {
+    return `${prefix}${/\s/.test(value) ? `"${value}"` : value}`;
+}
+
+// Tags and key=value labels, each a chip that filters on itself
+function tagChips(r) {
+    const chips = [
+        ...(r.tags || []).map(t => [searchToken('tag:', t), `#${t}`, 'tag-chip']),
+        ...Object.entries(r.labels || {}).map(([k, v]) => [searchToken(`${k}=`, v), `${k}=${v}`, 'tag-chip label-chip']),
+    ];
+    if (!chips.length) return '';
+    return `<div class="tag-chips">${chips.map(([token, text, cls]) =>
+        `<button class="${cls}" data-token="${escapeHtml(token)}" onclick="addSearchToken(this.dataset.token)">${escapeHtml(text)}</button>`).join('')}</div>`;
 }
 
 function renderTable(regs) {
@@ -146,19 +296,133 @@ function renderTable(regs) {
 
         return `
       <tr data-port="${r.port}">
-        <td><span class="port-badge">${r.port}</span></td>
+        <td><span class="port-badge">${r.port}</span>${socketChip(r)}${serviceChip(r)}${groupChip(r)}${queueChip(r)}${requestChip(r)}</td>
         <td><span class="agent-name">${escapeHtml(r.agent)}</span></td>
-        <td><span class="reason-text" title="${escapeHtml(r.reason)}">${escapeHtml(r.reason)}</span></td>
-        <td>${osBadge}</td>
+        <td><span class="reason-text" title="${escapeHtml(r.reason)}">${escapeHtml(r.reason)}</span>${tagChips(r)}</td>
+        <td>${osBadge}${healthBadge(r)}${ownerBadge(r)}${staleBadge(r)}${healthCheckedAt(r)}</td>
         <td><span class="time-text">${formatTime(r.registeredAt)}</span></td>
-        <td><span class="${timeClass}" title="${new Date(r.expiresAt).toLocaleString()}">${formatRelative(r.expiresAt)}</span></td>
+        <td>${expiresCell(r, timeClass)}</td>
         <td>
-          <button class="action-btn" onclick="confirmRelease(${r.port}, '${escapeHtml(r.agent)}')">Release</button>
+          ${r.permanent ? '' : `<button class="action-btn action-edit" onclick="openExtend('${escapeHtml(r.id)}')">Extend</button>`}
+          <button class="action-btn action-edit" onclick="openEdit('${escapeHtml(r.id)}')">Edit</button>
+          <button class="action-btn" onclick="confirmRelease(${r.port}, '${escapeHtml(r.agent)}', '${escapeHtml(socketQuery(r))}')">Release</button>
+          ${r.groupId ? `<button class="action-btn" onclick="confirmGroupRelease('${escapeHtml(r.groupId)}', '${escapeHtml(r.agent)}')">Release group</button>` : ''}
         </td>
       </tr>`;
     }).join('');
 }
 
+// Process-bound registrations: is the owner PID alive, and is it the one
+// the OS shows listening on the port?
+function ownerBadge(r) {
+    if (!r.ownerPid) return '';
+    if (r.ownerAlive === false) {
+        return `<span class="os-badge os-down" title="Owner process has exited — release pending"><span class="os-dot"></span>PID ${r.ownerPid}</span>`;
+    }
+    if (r.ownerVerified === false) {
+        return `<span class="os-badge os-warn" title="Port is held by PID ${r.osPid}, not the owner">⚠ PID ${r.ownerPid}</span>`;
+    }
+    const title = r.ownerVerified ? 'Owner process is alive and listening on this port' : 'Owner process is alive';
+    return `<span class="os-badge os-up" title="${title}"><span class="os-dot"></span>PID ${r.ownerPid}${r.ownerVerified ? ' ✓' : ''}</span>`;
+}
+
+// Registrations are for a { proto, address } socket; plain TCP on all
+// interfaces (the common case) gets no chip
+function socketChip(r) {
+    const parts = [];
+    if (r.proto && r.proto !== 'tcp') parts.push(r.proto.toUpperCase());
+    if (r.address) parts.push(r.address);
+    if (!parts.length) return '';
+    return ` <span class="socket-chip" title="Bound socket">${escapeHtml(parts.join(' · '))}</span>`;
+}
+
+// Query string selecting this registration's socket for /api/ports/:port calls
+function socketQuery(r) {
+    const params = new URLSearchParams({ proto: r.proto || 'tcp' });
+    if (r.address) params.set('address', r.address);
+    return `?${params}`;
+}
+
+// Registrations not listening past their grace period (see /api/reconcile)
+function staleBadge(r) {
+    if (!r.stale || !r.stale.flagged) return '';
+    const what = r.stale.reason === 'never-listened' ? 'Never listened' : 'Stopped listening';
+    return `<span class="os-badge os-warn" title="${what} since ${formatTime(r.stale.since)}">Stale</span>`;
+}
+
+// What a registration's health check tests, in a few words
+function describeCheck(check) {
+    const what = check.type === 'http' ? `GET ${check.path}${check.expectStatus ? ` → ${check.expectStatus}` : ''}`
+        : check.type === 'tcp' ? 'TCP connect' : `process ${check.process}`;
+    return check.process && check.type !== 'process' ? `${what}, process ${check.process}` : what;
+}
+
+const HEALTH_BADGES = {
+    healthy: ['os-up', 'Healthy'],
+    unhealthy: ['os-down', 'Unhealthy'],
+    mismatch: ['os-warn', 'Mismatch'],
+};
+
+// Last health check result, for registrations that declare one
+function healthBadge(r) {
+    if (!r.healthCheck) return '';
+    const h = r.health;
+    if (!h) return `<span class="os-badge os-unk" title="${escapeHtml(describeCheck(r.healthCheck))} — first check pending">Checking…</span>`;
+    const [cls, label] = HEALTH_BADGES[h.status];
+    const detail = [
+        describeCheck(r.healthCheck),
+        h.statusCode ? `HTTP ${h.statusCode}` : null,
+        h.process ? `held by ${h.process}` : null,
+        h.error,
+        `${label.toLowerCase()} since ${formatTime(h.since)}`,
+    ].filter(Boolean).join(' · ');
+    const latency = h.latencyMs !== null && h.latencyMs !== undefined ? ` ${h.latencyMs} ms` : '';
+    return `<span class="os-badge ${cls}" title="${escapeHtml(detail)}"><span class="os-dot"></span>${label}${h.status === 'healthy' ? latency : ''}</span>`;
+}
+
+function healthCheckedAt(r) {
+    if (!r.health) return '';
+    return `<div class="health-time" title="Last health check">checked ${formatTime(r.health.checkedAt)}</div>`;
+}
+
+// Agents queued for this registration's socket, first in line first
+function queueChip(r) {
+    if (!r.waiting) return '';
+    const agents = (waitQueues[r.port] || [])
+        .filter(w => w.proto === (r.proto || 'tcp'))
+        .map(w => `${w.position}. ${w.agent} — ${w.reason}`).join('\n');
+    return ` <span class="queue-chip" title="${escapeHtml(agents)}">${r.waiting} waiting</span>`;
+}
+
+// Pending release requests from other agents, oldest first
+function requestChip(r) {
+    const pending = (r.releaseRequests || []).filter(q => q.status === 'pending');
+    if (!pending.length) return '';
+    const lines = pending.map(q => `${q.agent} — ${q.message || q.reason}`).join('\n');
+    return ` <span class="request-chip" title="${escapeHtml(lines)}">${pending.length} release request${pending.length > 1 ? 's' : ''}</span>`;
+}
+
+function serviceHint() {
+    return SERVER_CONFIG.proxyPort ? `routes <name>.localhost:${SERVER_CONFIG.proxyPort}` : 'the service proxy is off on this server';
+}
+
+// Named services link through the proxy, which follows the name to whatever port it's on.
+// Without the proxy port (or away from this machine, where *.localhost doesn't resolve)
+// the name is shown without a link.
+function serviceChip(r) {
+    if (!r.name) return '';
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname) || location.hostname.endsWith('.localhost');
+    if (!local || !r.url) return ` <span class="service-chip" title="Service name">${escapeHtml(r.name)}</span>`;
+    return ` <a class="service-chip" href="${escapeHtml(r.url)}" target="_blank" rel="noopener" title="Open ${escapeHtml(r.name)} through the service proxy">${escapeHtml(r.name)} ↗</a>`;
+}
+
+// Ports reserved together share a groupId; show the member's name (or the id)
+function groupChip(r) {
+    if (!r.groupId) return '';
+    const label = r.groupName ? `${r.groupName} · ${r.groupId}` : r.groupId;
+    return ` <span class="group-chip" title="Group ${escapeHtml(r.groupId)}">${escapeHtml(label)}</span>`;
+}
+
 function escapeHtml(str) {
     return String(str)
         .replace(/&/g, '&amp;')
@@ -168,12 +432,195 @@ function escapeHtml(str) {
         .replace(/'/g, '&#39;');
 }
 
-// Removed Check, Suggest, and Register port functions.
+// ─── Check, Suggest & Register ─────────────────────────────────────────────────
+
+const AGENT_NAME_KEY = 'portRegister.agentName'; // last agent name used on this browser
+const AVAILABILITY_DEBOUNCE_MS = 300;
+
+function debounce(fn, ms) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), ms);
+    };
+}
+
+// Fills a result box under a form; `html` must already be escaped
+function showResult(id, kind, html) {
+    $(id).className = `check-result ${kind}`;
+    $(id).innerHTML = html;
+}
+
+// GET /api/ports/check/:port — throws with the server's error message on 4xx
+async function fetchCheck(port, probe = false) {
+    const res = await fetch(`${API}/ports/check/${encodeURIComponent(port)}${probe ? '?probe=1' : ''}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+}
+
+// Registered → taken; reserved by policy or held by the OS → warning
+function checkKind(data) {
+    if (data.available) return 'available';
+    return data.registeredBy ? 'taken' : 'warning';
+}
+
+// `probe` (the Check button) confirms a free answer with a bind probe; the
+// live check while typing uses the server's OS snapshot only
+async function checkPort(probe = false) {
+    const port = $('checkPort').value.trim();
+    if (!port) { $('checkResult').classList.add('hidden'); return; }
+    try {
+        const data = await fetchCheck(port, probe);
+        if ($('checkPort').value.trim() !== port) return; // typed on since
+        const waiting = data.waiting ? ` <span class="result-note">${data.waiting} waiting</span>` : '';
+        showResult('checkResult', checkKind(data), `${escapeHtml(data.recommendation)}${waiting}`);
+    } catch (e) {
+        showResult('checkResult', 'error', escapeHtml(e.message));
+    }
+}
+
+// The dot next to the register form's port field
+async function updateAvailability() {
+    const port = $('regPort').value.trim();
+    const el = $('regAvailability');
+    if (!port) { el.className = 'availability'; el.textContent = ''; return; }
+    el.className = 'availability checking';
+    el.textContent = 'checking…';
+    try {
+        const data = await fetchCheck(port);
+        if ($('regPort').value.trim() !== port) return;
+        el.className = `availability ${checkKind(data)}`;
+        el.textContent = data.available ? 'free'
+            : data.registeredBy ? `taken by ${data.registeredBy.agent}`
+                : data.reserved ? 'reserved' : 'in use';
+        el.title = data.recommendation;
+    } catch (e) {
+        el.className = 'availability error';
+        el.textContent = e.message;
+    }
+}
+
+// Pools from the server policy; picking one hides the custom range inputs
+async function loadPools() {
+    try {
+        const res = await fetch(`${API}/policy`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const policy = await res.json();
+        const [min, max] = policy.defaultRange.split('-');
+        $('suggestMin').placeholder = `Min (${min})`;
+        $('suggestMax').placeholder = `Max (${max || min})`;
+        $('suggestPool').innerHTML = '<option value="">Custom range</option>' + Object.entries(policy.pools)
+            .map(([name, range]) => `<option value="${escapeHtml(name)}">${escapeHtml(name)} (${escapeHtml(range)})</option>`)
+            .join('');
+    } catch (e) {
+        log(`Policy fetch failed: ${e.message}`, 'error');
+    }
+}
+
+async function suggestPort() {
+    const pool = $('suggestPool').value;
+    const params = new URLSearchParams();
+    if (pool) params.set('pool', pool);
+    else {
+        if ($('suggestMin').value) params.set('min', $('suggestMin').value);
+        if ($('suggestMax').value) params.set('max', $('suggestMax').value);
+    }
+    try {
+        const res = await fetch(`${API}/suggest?${params}`);
+        const data = await res.json();
+        if (!res.ok) { showResult('suggestResult', 'error', escapeHtml(data.error || `HTTP ${res.status}`)); return; }
+        showResult('suggestResult', 'success', `${escapeHtml(data.message)}
+          <button class="btn btn-ghost btn-xs" onclick="useSuggestedPort(${data.port})">Use</button>`);
+    } catch (e) {
+        showResult('suggestResult', 'error', 'Could not reach the server.');
+    }
+}
+
+function useSuggestedPort(port) {
+    $('regPort').value = port;
+    updateAvailability();
+    ($('regAgent').value ? $('regReason') : $('regAgent')).focus();
+}
+
+// Server validation messages name the field they are about
+const REGISTER_FIELDS = [
+    [/name/i, 'regName'],
+    [/ttl/i, 'regTtl'],
+    [/reason/i, 'regReason'],
+    [/agent/i, 'regAgent'],
+    [/port/i, 'regPort'],
+];
+
+function markInvalid(message) {
+    const match = REGISTER_FIELDS.find(([pattern]) => pattern.test(message));
+    if (match) $(match[1]).classList.add('input-invalid');
+}
+
+async function registerPort() {
+    REGISTER_FIELDS.forEach(([, id]) => $(id).classList.remove('input-invalid'));
+    const agent = $('regAgent').value.trim();
+    const body = { port: $('regPort').value.trim(), agent, reason: $('regReason').value };
+    if ($('regTtl').value) body.ttlMinutes = $('regTtl').value;
+    if ($('regName').value.trim()) body.name = $('regName').value.trim();
+    if (agent) localStorage.setItem(AGENT_NAME_KEY, agent);
+    try {
+        const res = await fetch(`${API}/ports/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            const message = data.error || `HTTP ${res.status}`;
+            markInvalid(message);
+            showResult('registerResult', res.status === 409 ? 'taken' : 'error', escapeHtml(message));
+            return;
+        }
+        const { port } = data.registration;
+        showResult('registerResult', 'success', `Port ${port} registered. Lease token (needed to heartbeat or release):
+          <code class="lease-token">${escapeHtml(data.leaseToken)}</code>`);
+        log(`Lease token for port ${port}: ${data.leaseToken}`, 'info');
+        $('regReason').value = '';
+        $('regName').value = '';
+        updateAvailability();
+        await Promise.all([fetchRegistrations(), fetchHistory()]);
+    } catch (e) {
+        showResult('registerResult', 'error', 'Could not reach the server.');
+    }
+}
+
+// ─── Admin Token ───────────────────────────────────────────────────────────────
+
+// Dashboard releases and Clear All are force operations and need the server's
+// admin token. It is asked for once and kept in localStorage.
+const ADMIN_TOKEN_KEY = 'portRegister.adminToken';
+
+function getAdminToken() {
+    let token = localStorage.getItem(ADMIN_TOKEN_KEY);
+    if (!token) {
+        token = (prompt('Admin token (printed in the Port Register server console):') || '').trim();
+        if (token) localStorage.setItem(ADMIN_TOKEN_KEY, token);
+    }
+    return token || null;
+}
+
+function adminHeaders() {
+    const token = getAdminToken();
+    return token ? { 'X-Admin-Token': token } : null;
+}
+
+// Forget a rejected token so the next attempt prompts again
+function handleAdminAuthError(res) {
+    if (res.status === 401 || res.status === 403) localStorage.removeItem(ADMIN_TOKEN_KEY);
+}
 
 // ─── Release Port ──────────────────────────────────────────────────────────────
 
-function confirmRelease(port, agent) {
+function confirmRelease(port, agent, query = '') {
     pendingReleasePort = port;
+    pendingReleaseQuery = query;
+    pendingReleaseGroup = null;
     pendingClearAll = false;
     $('modalTitle').textContent = `Release Port ${port}`;
     $('modalBody').textContent = `Are you sure you want to release port ${port} registered by "${agent}"? This action cannot be undone.`;
@@ -181,30 +628,259 @@ function confirmRelease(port, agent) {
     $('modalOverlay').classList.remove('hidden');
 }
 
-async function releasePort(port) {
+function confirmGroupRelease(groupId, agent) {
+    const ports = allRegistrations.filter(r => r.groupId === groupId).map(r => r.port);
+    pendingReleaseGroup = groupId;
+    pendingReleasePort = null;
+    pendingClearAll = false;
+    $('modalTitle').textContent = `Release Group ${groupId}`;
+    $('modalBody').textContent = `Release all ${ports.length} ports (${ports.join(', ')}) reserved by "${agent}" in this group? This action cannot be undone.`;
+    $('modalConfirm').textContent = 'Release Group';
+    $('modalOverlay').classList.remove('hidden');
+}
+
+async function releaseGroup(groupId) {
+    const headers = adminHeaders();
+    if (!headers) { toast('Release cancelled — admin token required', 'warn'); return; }
+    try {
+        const res = await fetch(`${API}/ports/groups/${encodeURIComponent(groupId)}`, { method: 'DELETE', headers });
+        const data = await res.json();
+        if (!res.ok) {
+            handleAdminAuthError(res);
+            toast(data.error || 'Release failed', 'error');
+            return;
+        }
+        toast(`Group ${groupId} released (${data.released.length} ports)`, 'info');
+        await Promise.all([fetchRegistrations(), fetchHistory()]);
+    } catch (e) {
+        toast('Could not reach the server.', 'error');
+    }
+}
+
+async function releasePort(port, query = '') {
+    const headers = adminHeaders();
+    if (!headers) { toast('Release cancelled — admin token required', 'warn'); return; }
     try {
-        const res = await fetch(`${API}/ports/${port}`, { method: 'DELETE', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({}) });
+        const res = await fetch(`${API}/ports/${port}${query}`, { method: 'DELETE', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify({}) });
         const data = await res.json();
         if (!res.ok) {
+            handleAdminAuthError(res);
             toast(data.error || 'Release failed', 'error');
             return;
         }
         toast(`Port ${port} released`, 'info');
-        log(`Released port ${port}`, 'warn');
-        await fetchRegistrations();
+        await Promise.all([fetchRegistrations(), fetchHistory()]);
+    } catch (e) {
+        toast('Could not reach the server.', 'error');
+    }
+}
+
+// ─── Extend & Edit ─────────────────────────────────────────────────────────────
+
+// Both open the confirm modal with a small form and PATCH /api/ports/:port on
+// confirm; the modal stays open to show server validation errors.
+function openExtend(id) {
+    const reg = allRegistrations.find(r => r.id === id);
+    if (!reg) return;
+    pendingEdit = { reg, mode: 'extend' };
+    $('modalTitle').textContent = `Extend Port ${reg.port}`;
+    $('modalBody').innerHTML = `
+      <p class="modal-note">Currently expires ${escapeHtml(formatRelative(reg.expiresAt))}.</p>
+      <div class="form-group">
+        <label class="form-label" for="editExtend">Extend by (minutes)</label>
+        <input id="editExtend" class="input" type="number" min="1" value="${reg.ttlMinutes || 30}" />
+      </div>
+      <div class="modal-error hidden" id="modalError"></div>`;
+    showEditModal('Extend');
+}
+
+function openEdit(id) {
+    const reg = allRegistrations.find(r => r.id === id);
+    if (!reg) return;
+    pendingEdit = { reg, mode: 'edit' };
+    $('modalTitle').textContent = `Edit Port ${reg.port}`;
+    $('modalBody').innerHTML = `
+      <div class="form-group">
+        <label class="form-label" for="editReason">Reason</label>
+        <input id="editReason" class="input" type="text" value="${escapeHtml(reg.reason)}" />
+      </div>
+      ${reg.permanent ? '' : `<div class="form-group">
+        <label class="form-label" for="editTtl">TTL (minutes, restarts the expiry)</label>
+        <input id="editTtl" class="input" type="number" min="1" placeholder="${reg.ttlMinutes || ''} — unchanged" />
+      </div>`}
+      <div class="form-group">
+        <label class="form-label" for="editName">Service name (${escapeHtml(serviceHint())})</label>
+        <input id="editName" class="input" type="text" value="${escapeHtml(reg.name || '')}" placeholder="none" />
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="editTags">Tags (comma-separated)</label>
+        <input id="editTags" class="input" type="text" value="${escapeHtml((reg.tags || []).join(', '))}" />
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="editMetadata">Metadata (JSON)</label>
+        <textarea id="editMetadata" class="input textarea">${escapeHtml(reg.metadata ? JSON.stringify(reg.metadata, null, 2) : '')}</textarea>
+      </div>
+      <div class="modal-error hidden" id="modalError"></div>`;
+    showEditModal('Save');
+}
+
+function showEditModal(confirmLabel) {
+    pendingReleasePort = null;
+    pendingReleaseGroup = null;
+    pendingClearAll = false;
+    $('modalConfirm').textContent = confirmLabel;
+    $('modalConfirm').className = 'btn btn-primary';
+    $('modalOverlay').classList.remove('hidden');
+}
+
+function showModalError(message) {
+    $('modalError').textContent = message;
+    $('modalError').classList.remove('hidden');
+}
+
+// Merge patch turning `before` into `after`: removed keys are sent as null,
+// unchanged ones are left out
+function metadataPatch(before = {}, after = {}) {
+    const patch = {};
+    for (const key of Object.keys(before)) {
+        if (!(key in after)) patch[key] = null;
+    }
+    for (const [key, value] of Object.entries(after)) {
+        const old = before[key];
+        const bothObjects = [old, value].every(v => v && typeof v === 'object' && !Array.isArray(v));
+        if (bothObjects) {
+            const nested = metadataPatch(old, value);
+            if (Object.keys(nested).length) patch[key] = nested;
+        } else if (JSON.stringify(old) !== JSON.stringify(value)) {
+            patch[key] = value;
+        }
+    }
+    return patch;
+}
+
+// The PATCH body for the open form — only the fields that differ from the
+// loaded registration — or null after showing what's wrong with it
+function editBody() {
+    const { reg, mode } = pendingEdit;
+    if (mode === 'extend') return { extendMinutes: Number($('editExtend').value) };
+
+    const body = {};
+    const reason = $('editReason').value;
+    if (reason.trim() !== reg.reason) body.reason = reason;
+    const name = $('editName').value.trim() || null;
+    if (name !== (reg.name || null)) body.name = name;
+    const tags = $('editTags').value.split(',').map(t => t.trim()).filter(Boolean);
+    if (tags.join(',') !== (reg.tags || []).join(',')) body.tags = tags;
+    if ($('editTtl') && $('editTtl').value) body.ttlMinutes = Number($('editTtl').value);
+    let metadata = {};
+    if ($('editMetadata').value.trim()) {
+        try {
+            metadata = JSON.parse($('editMetadata').value);
+        } catch (e) {
+            showModalError(`Metadata is not valid JSON — ${e.message}`);
+            return null;
+        }
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            showModalError('Metadata must be a JSON object');
+            return null;
+        }
+    }
+    const patch = metadataPatch(reg.metadata, metadata);
+    if (Object.keys(patch).length) body.metadata = patch;
+    return body;
+}
+
+// Resolves true once saved (or given up on), false to keep the modal open
+async function saveEdit() {
+    const { reg, mode } = pendingEdit;
+    const body = editBody();
+    if (!body) return false;
+    if (!Object.keys(body).length) { toast(`Port ${reg.port} unchanged`, 'info'); return true; }
+    const headers = adminHeaders();
+    if (!headers) { toast('Edit cancelled — admin token required', 'warn'); return true; }
+    try {
+        const res = await fetch(`${API}/ports/${reg.port}${socketQuery(reg)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            handleAdminAuthError(res);
+            showModalError(data.error || `HTTP ${res.status}`);
+            return false;
+        }
+        toast(mode === 'extend'
+            ? `Port ${reg.port} now expires ${formatRelative(data.registration.expiresAt)}`
+            : `Port ${reg.port} updated`, 'success');
+        await Promise.all([fetchRegistrations(), fetchHistory()]);
+        return true;
+    } catch (e) {
+        showModalError('Could not reach the server.');
+        return false;
+    }
+}
+
+// ─── Stale Registrations & Adoption ────────────────────────────────────────────
+
+async function releaseStale(id, port) {
+    const headers = adminHeaders();
+    if (!headers) { toast('Release cancelled — admin token required', 'warn'); return; }
+    try {
+        const res = await fetch(`${API}/reconcile/release`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ ids: [id] }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            handleAdminAuthError(res);
+            toast(data.error || 'Release failed', 'error');
+            return;
+        }
+        toast(data.count ? `Stale registration on port ${port} released` : `Port ${port} is no longer stale`, 'info');
+        closeDrawer();
+        await Promise.all([fetchRegistrations(), fetchHistory()]);
+    } catch (e) {
+        toast('Could not reach the server.', 'error');
+    }
+}
+
+// Registers an unregistered OS listener under an agent name; the server fills
+// in the reason and owner PID from the detected process
+async function adoptPort(port, proto, address) {
+    const agent = prompt(`Adopt port ${port} — register it under which agent name?`, localStorage.getItem(AGENT_NAME_KEY) || '');
+    if (!agent || !agent.trim()) return;
+    localStorage.setItem(AGENT_NAME_KEY, agent.trim());
+    try {
+        const res = await fetch(`${API}/ports/${port}/adopt`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ agent: agent.trim(), proto, ...(address ? { address } : {}) }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            toast(data.error || 'Adopt failed', 'error');
+            return;
+        }
+        toast(`Port ${port} adopted by "${agent.trim()}"`, 'success');
+        log(`Lease token for adopted port ${port}: ${data.leaseToken}`, 'info');
+        closeDrawer();
+        await Promise.all([fetchRegistrations(), fetchSystemPorts(true), fetchHistory()]);
     } catch (e) {
         toast('Could not reach the server.', 'error');
     }
 }
 
 async function clearAll() {
+    const headers = adminHeaders();
+    if (!headers) { toast('Clear cancelled — admin token required', 'warn'); return; }
     try {
-        const res = await fetch(`${API}/ports`, { method: 'DELETE' });
+        const res = await fetch(`${API}/ports`, { method: 'DELETE', headers });
         const data = await res.json();
-        if (!res.ok) { toast(data.error || 'Clear failed', 'error'); return; }
+        if (!res.ok) { handleAdminAuthError(res); toast(data.error || 'Clear failed', 'error'); return; }
         toast('All registrations cleared', 'warn');
-        log('Cleared all registrations', 'warn');
-        await fetchRegistrations();
+        await Promise.all([fetchRegistrations(), fetchHistory()]);
     } catch (e) {
         toast('Could not reach the server.', 'error');
     }
@@ -212,6 +888,12 @@ async function clearAll() {
 
 // ─── Auto-Refresh Countdown ────────────────────────────────────────────────────
 
+// Polling is only the fallback — it runs while the live event stream is down.
+function stopRefreshCycle() {
+    if (refreshTimer) clearInterval(refreshTimer);
+    refreshTimer = null;
+}
+
 function startRefreshCycle() {
     if (refreshTimer) clearInterval(refreshTimer);
     countdown = REFRESH_INTERVAL / 1000;
@@ -224,30 +906,101 @@ function startRefreshCycle() {
             await Promise.all([
                 fetchRegistrations(),
                 fetchSystemPorts(false), // always update stats; renders chips only if panel is open
+                fetchHistory(),
             ]);
         }
     }, 1000);
 }
 
+// ─── Live Updates (Server-Sent Events) ──────────────────────────────────────────
+
+const LIVE_RECONNECT_MS = 5000;
+let eventSource = null;
+let liveConnected = false;
+let liveRefreshTimer = null;
+
+// Coalesce bursts of events (e.g. a force-clear) into one refetch
+function scheduleLiveRefresh() {
+    clearTimeout(liveRefreshTimer);
+    liveRefreshTimer = setTimeout(fetchRegistrations, 150);
+}
+
+function describeOsDiff({ appeared, disappeared }) {
+    const fmt = p => `${p.port}${p.process ? ` (${p.process.replace(/\.exe$/i, '')})` : ''}`;
+    const parts = [];
+    if (appeared.length) parts.push(`+ ${appeared.map(fmt).join(', ')}`);
+    if (disappeared.length) parts.push(`− ${disappeared.map(fmt).join(', ')}`);
+    return `OS ports ${parts.join('  ')}`;
+}
+
+function connectLiveEvents() {
+    if (!window.EventSource) { startRefreshCycle(); return; }
+
+    eventSource = new EventSource(`${API}/events`);
+
+    eventSource.onopen = () => {
+        liveConnected = true;
+        stopRefreshCycle();
+        $('refreshIndicator').textContent = 'Live';
+        // Catch up on anything missed while disconnected
+        Promise.all([fetchRegistrations(), fetchSystemPorts(false), fetchHistory()]);
+    };
+
+    eventSource.onerror = () => {
+        if (liveConnected) {
+            liveConnected = false;
+            log('Live updates lost — falling back to polling', 'warn');
+            startRefreshCycle();
+        }
+        // The browser retries on its own unless the stream was closed outright
+        if (eventSource.readyState === EventSource.CLOSED) {
+            setTimeout(connectLiveEvents, LIVE_RECONNECT_MS);
+        }
+    };
+
+    Object.keys(EVENT_LOG_TYPES).forEach(type => {
+        eventSource.addEventListener(type, e => {
+            appendHistoryEvent(JSON.parse(e.data));
+            if (type !== 'conflict') scheduleLiveRefresh();
+        });
+    });
+
+    eventSource.addEventListener('health', e => {
+        const h = JSON.parse(e.data);
+        const type = h.status === 'healthy' ? 'success' : 'warn';
+        log(`Port ${h.port} ("${h.agent}") is ${h.status}${h.error ? ` — ${h.error}` : ''}`, type);
+        scheduleLiveRefresh();
+    });
+
+    eventSource.addEventListener('os-ports', e => {
+        log(describeOsDiff(JSON.parse(e.data)), 'info');
+        fetchSystemPorts(false);
+        scheduleLiveRefresh(); // osInUse badges may have changed
+    });
+}
+
 // ─── System Port Scan ──────────────────────────────────────────────────────────
 
 // ─── System Port Scan (Process Cloud) ──────────────────────────────────────────
 
-async function fetchSystemPorts() {
+async function fetchSystemPorts(fresh = false) {
     const cloud = $('procCloudBody');
     const loading = $('sysLoading');
     const count = $('sysPortCount');
 
     try {
-        const res = await fetch(`${API}/ports/system`);
+        const res = await fetch(`${API}/ports/system${fresh ? '?fresh=1' : ''}`);
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
 
         // Update stats bar
-        const unregisteredCount = data.ports.filter(p => !p.registered).length;
+        const unregisteredCount = data.ports.filter(p => p.unregistered).length;
         $('statSysBound').textContent = data.total;
         $('statUnregistered').textContent = unregisteredCount;
         count.textContent = `(${data.total})`;
+        if (data.osScan && data.osScan.scannedAt) {
+            count.title = `OS scan via ${data.osScan.backend}, ${Math.round(data.osScan.ageMs / 1000)}s old`;
+        }
 
         if (loading) loading.classList.add('hidden');
 
@@ -263,7 +1016,7 @@ async function fetchSystemPorts() {
             if (!processMap[proc]) processMap[proc] = { count: 0, ports: [], registered: true };
             processMap[proc].count++;
             processMap[proc].ports.push(p.port);
-            if (!p.registered) processMap[proc].registered = false; // if any unregistered, mark whole cloud unregistered
+            if (p.unregistered) processMap[proc].registered = false; // if any unregistered, mark whole cloud unregistered
         });
 
         cloud.innerHTML = Object.entries(processMap)
@@ -284,13 +1037,17 @@ async function fetchSystemPorts() {
 // ─── Event Listeners ───────────────────────────────────────────────────────────
 
 $('refreshBtn').addEventListener('click', async () => {
-    countdown = REFRESH_INTERVAL / 1000;
-    $('refreshIndicator').textContent = `Auto-refresh: ${countdown}s`;
-    await fetchRegistrations();
-    log('Manual refresh triggered', 'info');
+    if (!liveConnected) {
+        countdown = REFRESH_INTERVAL / 1000;
+        $('refreshIndicator').textContent = `Auto-refresh: ${countdown}s`;
+    }
+    await Promise.all([fetchRegistrations(true), fetchSystemPorts(true), fetchHistory()]);
 });
 
-$('searchInput').addEventListener('input', () => renderTable(applyFilter()));
+$('searchInput').addEventListener('input', debounce(async () => {
+    await fetchSearchResults();
+    renderTable(applyFilter());
+}, SEARCH_DEBOUNCE_MS));
 
 $('clearLogBtn').addEventListener('click', () => {
     $('eventLog').innerHTML = '';
@@ -300,27 +1057,38 @@ $('clearLogBtn').addEventListener('click', () => {
 $('clearAllBtn').addEventListener('click', () => {
     pendingClearAll = true;
     pendingReleasePort = null;
+    pendingReleaseGroup = null;
     $('modalTitle').textContent = 'Clear All Registrations';
-    $('modalBody').textContent = 'This will force-delete ALL port registrations immediately. Any agents currently using registered ports will not be notified. Continue?';
+    $('modalBody').textContent = 'This will force-delete ALL port registrations immediately (permanent ones are kept). Any agents currently using registered ports will not be notified. Continue?';
     $('modalConfirm').textContent = 'Clear All';
     $('modalOverlay').classList.remove('hidden');
 });
 
-$('modalCancel').addEventListener('click', () => {
+function closeModal() {
     $('modalOverlay').classList.add('hidden');
+    $('modalConfirm').className = 'btn btn-danger';
     pendingReleasePort = null;
+    pendingReleaseGroup = null;
     pendingClearAll = false;
-});
+    pendingEdit = null;
+}
+
+$('modalCancel').addEventListener('click', closeModal);
 
 $('modalConfirm').addEventListener('click', async () => {
+    if (pendingEdit) {
+        if (await saveEdit()) closeModal();
+        return;
+    }
     $('modalOverlay').classList.add('hidden');
     if (pendingClearAll) {
         await clearAll();
+    } else if (pendingReleaseGroup !== null) {
+        await releaseGroup(pendingReleaseGroup);
     } else if (pendingReleasePort !== null) {
-        await releasePort(pendingReleasePort);
+        await releasePort(pendingReleasePort, pendingReleaseQuery);
     }
-    pendingReleasePort = null;
-    pendingClearAll = false;
+    closeModal();
 });
 
 $('copySnippetBtn').addEventListener('click', () => {
@@ -368,7 +1136,7 @@ function renderRegisteredRows(regs) {
     if (!regs.length) return '<div class="drawer-empty">No matching registrations.</div>';
     return `<table class="drawer-table">
     <thead><tr>
-      <th>Port</th><th>Agent</th><th>Reason</th><th>OS Status</th><th>Registered</th><th>Expires</th>
+      <th>Port</th><th>Agent</th><th>Reason</th><th>OS Status</th><th>Registered</th><th>Expires</th><th></th>
     </tr></thead>
     <tbody>${regs.map(r => {
         let osBadge;
@@ -377,12 +1145,15 @@ function renderRegisteredRows(regs) {
         else osBadge = `<span class="os-badge os-unk">Unknown</span>`;
         const expSoon = isExpiringSoon(r.expiresAt);
         return `<tr>
-        <td><span class="port-badge">${r.port}</span></td>
+        <td><span class="port-badge">${r.port}</span>${socketChip(r)}${serviceChip(r)}${groupChip(r)}${queueChip(r)}${requestChip(r)}</td>
         <td><span class="agent-name">${escapeHtml(r.agent)}</span></td>
         <td><span class="reason-text" title="${escapeHtml(r.reason)}">${escapeHtml(r.reason)}</span></td>
-        <td>${osBadge}</td>
+        <td>${osBadge}${healthBadge(r)}${ownerBadge(r)}${staleBadge(r)}${healthCheckedAt(r)}</td>
         <td><span class="time-text">${formatTime(r.registeredAt)}</span></td>
-        <td><span class="time-text ${expSoon ? 'expires-soon' : ''}">${formatRelative(r.expiresAt)}</span></td>
+        <td>${expiresCell(r, `time-text ${expSoon ? 'expires-soon' : ''}`)}</td>
+        <td>${r.stale && r.stale.flagged && !r.permanent
+            ? `<button class="action-btn" onclick="releaseStale('${escapeHtml(r.id)}', ${r.port})">Release stale</button>`
+            : ''}</td>
       </tr>`;
     }).join('')}</tbody>
   </table>`;
@@ -395,18 +1166,26 @@ function renderSystemRows(ports) {
     if (!ports.length) return '<div class="drawer-empty">No matching ports.</div>';
     return `<table class="drawer-table">
     <thead><tr>
-      <th>Port</th><th>Process</th><th>PID</th><th>Proto</th><th>State</th><th>Registered By</th>
+      <th>Port</th><th>Process</th><th>PID</th><th>Proto</th><th>Addresses</th><th>State</th><th>Registered By</th>
     </tr></thead>
     <tbody>${ports.map(p => {
         const procName = p.process ? p.process.replace(/\.exe$/i, '') : '—';
-        const regCell = p.registered && p.registration
-            ? `<span class="reg-indicator yes">✓ ${escapeHtml(p.registration.agent)}</span>`
-            : `<span class="reg-indicator no">Unregistered</span>`;
+        const bindings = p.bindings || [];
+        const protos = [...new Set(bindings.map(b => b.proto))].join(' / ') || p.proto;
+        const agents = [...new Set((p.registrations || []).map(r => r.agent))];
+        const loose = bindings.find(b => !b.registration);
+        const adoptBtn = loose
+            ? ` <button class="action-btn" onclick="adoptPort(${p.port}, '${escapeHtml(loose.proto)}', '${escapeHtml(loose.address || '')}')">Adopt</button>`
+            : '';
+        const regCell = agents.length
+            ? `<span class="reg-indicator yes">✓ ${escapeHtml(agents.join(', '))}</span>${adoptBtn}`
+            : `<span class="reg-indicator no">Unregistered</span>${adoptBtn}`;
         return `<tr>
         <td><span class="port-badge">${p.port}</span></td>
         <td><span class="proc-badge" title="${escapeHtml(p.process || '')}">${escapeHtml(procName)}</span></td>
         <td><span class="time-text">${p.pid}</span></td>
-        <td><span class="time-text">${p.proto}</span></td>
+        <td><span class="time-text">${protos}</span></td>
+        <td><span class="time-text" title="${escapeHtml(bindings.map(b => `${b.proto} ${b.address}`).join('\n'))}">${escapeHtml((p.addresses || []).join(', '))}</span></td>
         <td><span class="time-text">${p.state}</span></td>
         <td>${regCell}</td>
       </tr>`;
@@ -423,7 +1202,7 @@ async function openSystemDrawer(filter) {
     } catch { /* use cached */ }
 
     const subset = filter === 'unregistered'
-        ? cachedSystemPorts.filter(p => !p.registered)
+        ? cachedSystemPorts.filter(p => p.unregistered)
         : cachedSystemPorts;
 
     drawerMode = 'system';
@@ -443,6 +1222,18 @@ $('cardRegistered').addEventListener('click', () => {
 $('cardSysBound').addEventListener('click', () => openSystemDrawer('all'));
 $('cardUnregistered').addEventListener('click', () => openSystemDrawer('unregistered'));
 
+// Check / Suggest / Register panel
+const liveCheck = debounce(() => checkPort(false), AVAILABILITY_DEBOUNCE_MS);
+$('checkPort').addEventListener('input', liveCheck);
+$('checkPort').addEventListener('keydown', e => { if (e.key === 'Enter') checkPort(true); });
+$('checkBtn').addEventListener('click', () => checkPort(true));
+$('suggestPool').addEventListener('change', () => $('suggestRange').classList.toggle('hidden', !!$('suggestPool').value));
+$('suggestBtn').addEventListener('click', suggestPort);
+$('regPort').addEventListener('input', debounce(updateAvailability, AVAILABILITY_DEBOUNCE_MS));
+$('registerBtn').addEventListener('click', registerPort);
+$('regAgent').value = localStorage.getItem(AGENT_NAME_KEY) || '';
+if (SERVER_CONFIG.defaultTtlMinutes) $('regTtl').placeholder = String(SERVER_CONFIG.defaultTtlMinutes);
+
 // Drawer controls
 $('drawerClose').addEventListener('click', closeDrawer);
 $('drawerOverlay').addEventListener('click', closeDrawer);
@@ -457,6 +1248,9 @@ document.addEventListener('keydown', e => { if (e.key === 'Escape') closeDrawer(
     await Promise.all([
         fetchRegistrations(),
         fetchSystemPorts(false),
+        fetchHistory(),
+        loadPools(),
     ]);
     startRefreshCycle();
+    connectLiveEvents();
 })();
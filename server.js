@@ -1,15 +1,89 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const http = require('http');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { isProcessAlive } = require('./lib/detectors');
+const { createScanner } = require('./lib/scanner');
+const { createReconciler } = require('./lib/reconciler');
+const { createWaitQueue } = require('./lib/waitqueue');
+const auth = require('./lib/auth');
+const { createStore } = require('./lib/storage');
+const { createHistory, EVENT_TYPES } = require('./lib/history');
+const { createEventHub } = require('./lib/events');
+const { loadPolicy, formatRange } = require('./lib/policy');
+const { parseBinding, bindingsConflict, formatBinding, connectHost } = require('./lib/bindings');
+const { probeBind, firstBindable } = require('./lib/probe');
+const { parseListQuery, matchesRegistration, matchesSystemPort, sortItems, paginate } = require('./lib/query');
+const { createMetrics } = require('./lib/metrics');
+const { loadConfig, describeConfig, configHelp } = require('./lib/config');
+const { createHealthChecker, parseHealthCheck } = require('./lib/healthcheck');
+const { createServiceProxy } = require('./lib/proxy');
+const { HttpError, route } = require('./lib/http');
+
+// ─── Configuration ─────────────────────────────────────────────────────────────
+
+if (process.argv.includes('--help')) {
+  console.log([
+    'Usage: node server.js [options]',
+    '',
+    'Each option can also be set with the environment variable shown, or as a',
+    'setting in port-register.config.json (--config FILE / $PORT_REGISTER_CONFIG',
+    'to use another file). Flags beat the environment, which beats the file.',
+    '',
+    ...configHelp(),
+  ].join('\n'));
+  process.exit(0);
+}
+
+let config;
+try {
+  config = loadConfig({ serverDir: __dirname });
+} catch (e) {
+  console.error(`\n  ✕ ${e.message}\n`);
+  process.exit(1);
+}
 
 const app = express();
-const PORT = 4444;
-const DATA_FILE = path.join(__dirname, 'ports.json');
-const TTL_MS = 30 * 60 * 1000; // 30 minutes default TTL
+const PORT = config.port;
+const DATA_FILE = config.dataFile;
+const HISTORY_FILE = config.historyFile;
+const POLICY_FILE = config.policyFile;
+const TTL_MS = config.defaultTtlMinutes * 60 * 1000; // TTL when a registration doesn't ask for one
+const MAX_GROUP_SIZE = 32;
+const SELF_AGENT = 'port-register';
+const SELF_REASON = 'Port Register service — central port registry web UI and API for all agents';
+const SELF_PROXY_REASON = 'Port Register service proxy — http://<name>.localhost routes to named registrations';
+const OS_SCAN_INTERVAL_MS = config.scanIntervalMs; // background OS port table refresh
+const EXPIRY_SWEEP_MS = 15000; // expire stale registrations even when nobody is calling the API
+const OWNER_CHECK_MS = 5000; // how often process-bound registrations check their owner PID
+const STALE_GRACE_MINUTES = 10; // not-listening grace period unless the policy sets staleGraceMinutes
+const WAIT_TIMEOUT_SECONDS = 300; // how long a queued agent waits unless it asks otherwise
+const MAX_WAIT_TIMEOUT_SECONDS = 3600;
+const LONG_POLL_SECONDS = 25; // default / max hold time for GET /api/waits/:waitId
+const MAX_LONG_POLL_SECONDS = 60;
+const WAIT_ABANDON_MS = 60000; // long-poll waiters not polled for this long are dropped
+const WAIT_SWEEP_MS = 5000;
+const CLAIM_ATTEMPTS = 5; // probed claims retry this often when another write takes the probed port first
+const MAX_RELEASE_REQUESTS = 20; // pending requests per registration
+const ANSWERED_REQUEST_KEEP_MS = 60 * 60 * 1000; // accepted / declined requests stay readable this long
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+const MAX_METADATA_BYTES = 4096;
+const MAX_LABELS = 32;
+const MAX_LABEL_VALUE_LENGTH = 256;
+const LABEL_KEY = /^[A-Za-z0-9][A-Za-z0-9_.\/-]{0,62}$/;
+const SERVICE_NAME = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/; // a DNS label, so <name>.localhost works
+const REGISTRATION_SORT_FIELDS = ['port', 'agent', 'registeredAt', 'expiresAt']; // first is the default
+const SYSTEM_SORT_FIELDS = ['port', 'process', 'pid'];
+const OS_SCAN_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]; // seconds
+const OS_SCAN_OVERDUE_INTERVALS = 3; // /healthz is degraded once the last good scan is this many intervals old
+const STARTED_AT = Date.now();
+const HEALTH_TICK_MS = 1000; // how often due health checks are started (each has its own interval)
 
-app.use(cors());
+// "*" allows any origin (the cors default); otherwise only the listed ones
+app.use(cors(config.corsOrigins.includes('*') ? {} : { origin: config.corsOrigins }));
 app.use(express.json());
 
 // Prevent JS/CSS from being cached so edits are always reflected immediately
@@ -25,175 +99,873 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── Data Persistence ──────────────────────────────────────────────────────────
 
-function loadData() {
-  if (!fs.existsSync(DATA_FILE)) {
-    fs.writeFileSync(DATA_FILE, JSON.stringify({ registrations: [] }, null, 2));
+const store = createStore(DATA_FILE, {
+  beforeCommit: (data, tx) => {
+    grantWaiters(data, tx);
+    checkServiceNames(data);
+  },
+});
+const history = createHistory(HISTORY_FILE);
+const waitQueue = createWaitQueue({ abandonAfterMs: WAIT_ABANDON_MS });
+let policy = null; // loaded at startup
+
+// Appends to the history log and pushes the same event to live SSE clients
+function logEvent(event) {
+  const entry = history.record(event);
+  liveEvents.publish(entry.type, entry, entry.id);
+  countEvent(entry);
+  return entry;
+}
+
+function recordEvent(type, reg, extra = {}) {
+  return logEvent({ type, port: reg.port, ...bindingFields(reg), agent: reg.agent, reason: reg.reason, ...extra });
+}
+
+// proto / address, only where they differ from plain TCP on all interfaces
+function bindingFields(reg) {
+  return {
+    ...(reg.proto && reg.proto !== 'tcp' ? { proto: reg.proto } : {}),
+    ...(reg.address ? { address: reg.address } : {}),
+  };
+}
+
+// Drops expired registrations (and long-answered release requests) from a
+// store draft; expiry events are recorded once the mutation commits.
+function pruneExpired(data, tx) {
+  const now = Date.now();
+  pruneAnsweredRequests(data, now);
+  const expired = data.registrations.filter(r => r.expiresAt && r.expiresAt <= now);
+  if (!expired.length) return;
+  data.registrations = data.registrations.filter(r => !expired.includes(r));
+  tx.afterCommit(() => expired.forEach(r => recordEvent('expire', r)));
+}
+
+// Returns { registration, leaseToken }. Only the token's hash is kept on the
+// registration; the token itself is handed to the caller exactly once.
+// Group members share one lease token, passed in via `opts.leaseToken`.
+// The TTL is stored on the registration so heartbeats extend by the same amount;
+// permanent registrations have no TTL and never expire. `opts.ownerPid` binds
+// the registration to a process: it is released automatically when that exits.
+// `opts.binding` is the { proto, address } socket the port is held for.
+function createRegistration(port, agent, reason, ttlMinutes, opts = {}) {
+  const {
+    leaseToken = auth.generateLeaseToken(),
+    permanent = false,
+    ownerPid,
+    binding = { proto: 'tcp', address: null },
+    ...extra
+  } = opts;
+  const now = Date.now();
+  const ttl = ttlMinutes ? Number(ttlMinutes) * 60 * 1000 : TTL_MS;
+  const registration = {
+    port,
+    proto: binding.proto,
+    address: binding.address,
+    agent: agent.trim(),
+    reason: reason.trim(),
+    registeredAt: new Date(now).toISOString(),
+    expiresAt: permanent ? null : now + ttl,
+    ttlMinutes: permanent ? null : ttl / 60000,
+    ...(permanent ? { permanent: true } : {}),
+    ...(ownerPid ? { ownerPid: parseInt(ownerPid) } : {}),
+    id: `${port}-${binding.proto}${binding.address ? `-${binding.address}` : ''}-${now}`,
+    ...extra,
+    leaseTokenHash: auth.hashToken(leaseToken),
+  };
+  return { registration, leaseToken };
+}
+
+// Heartbeat: push expiresAt out by the registration's own TTL, optionally
+// replacing that TTL first. Permanent registrations only record the heartbeat.
+function refreshRegistration(reg, ttlMinutes, now = Date.now()) {
+  reg.lastHeartbeat = new Date(now).toISOString();
+  if (reg.permanent) return;
+  if (ttlMinutes) reg.ttlMinutes = Number(ttlMinutes);
+  reg.expiresAt = now + (reg.ttlMinutes ? reg.ttlMinutes * 60 * 1000 : TTL_MS);
+}
+
+// TTLs are minutes and may be fractional (0.5 = 30 seconds); "5abc", 0 and
+// negatives are rejected rather than truncated
+function validTtl(ttlMinutes) {
+  return ttlMinutes === undefined || validMinutes(ttlMinutes);
+}
+
+function validMinutes(minutes) {
+  return (typeof minutes === 'number' || (typeof minutes === 'string' && minutes.trim() !== ''))
+    && Number.isFinite(Number(minutes)) && Number(minutes) > 0;
+}
+
+function validPid(pid) {
+  return pid === undefined || pid === null || (Number.isInteger(Number(pid)) && Number(pid) > 0);
+}
+
+// Validates a tag list: trimmed, non-empty, de-duplicated strings. Throws HttpError 400.
+function parseTags(tags) {
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string' || !t.trim() || t.trim().length > MAX_TAG_LENGTH)) {
+    throw new HttpError(400, `tags must be an array of non-empty strings (up to ${MAX_TAG_LENGTH} characters each)`);
   }
-  try {
-    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-  } catch {
-    return { registrations: [] };
+  const unique = [...new Set(tags.map(t => t.trim()))];
+  if (unique.length > MAX_TAGS) {
+    throw new HttpError(400, `At most ${MAX_TAGS} tags per registration`);
+  }
+  return unique;
+}
+
+// Validates labels: string keys (letters, digits, _ . / -) to string values.
+// `allowNull` lets a PATCH remove keys. Throws HttpError 400.
+function parseLabels(labels, { allowNull = false } = {}) {
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new HttpError(400, 'labels must be an object of key/value strings');
+  }
+  for (const [key, value] of Object.entries(labels)) {
+    if (!LABEL_KEY.test(key)) {
+      throw new HttpError(400, `Invalid label key "${key}" — use letters, digits, _ . / - (up to 63 characters)`);
+    }
+    if (value === null && allowNull) continue;
+    if (typeof value !== 'string' || !value.trim() || value.length > MAX_LABEL_VALUE_LENGTH) {
+      throw new HttpError(400, `Label "${key}" must be a non-empty string (up to ${MAX_LABEL_VALUE_LENGTH} characters)`);
+    }
   }
+  return Object.fromEntries(Object.entries(labels).map(([k, v]) => [k, v === null ? null : v.trim()]));
 }
 
-function saveData(data) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+function checkLabelCount(labels) {
+  if (Object.keys(labels).length > MAX_LABELS) {
+    throw new HttpError(400, `At most ${MAX_LABELS} labels per registration`);
+  }
+}
+
+// Validates a service name and lowercases it. Throws HttpError 400.
+function parseServiceName(name) {
+  const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (!SERVICE_NAME.test(normalized)) {
+    throw new HttpError(400, 'name must be lowercase letters, digits and hyphens (up to 63, not starting or ending with a hyphen)');
+  }
+  return normalized;
+}
+
+// { name?, tags?, labels?, healthCheck? } from a register / claim / group / adopt / wait body
+function parseDescriptors(body) {
+  const descriptors = {};
+  if (body.name !== undefined && body.name !== null) descriptors.name = parseServiceName(body.name);
+  if (body.tags !== undefined && body.tags !== null) {
+    const tags = parseTags(body.tags);
+    if (tags.length) descriptors.tags = tags;
+  }
+  if (body.labels !== undefined && body.labels !== null) {
+    const labels = parseLabels(body.labels);
+    checkLabelCount(labels);
+    if (Object.keys(labels).length) descriptors.labels = labels;
+  }
+  if (body.healthCheck !== undefined && body.healthCheck !== null) {
+    descriptors.healthCheck = parseHealthCheck(body.healthCheck);
+    checkHealthProto(descriptors.healthCheck, body.proto);
+  }
+  return descriptors;
 }
 
-function pruneExpired(registrations) {
+// The live registration other than `except` that holds service name `name`
+function nameHolder(registrations, name, except = null) {
   const now = Date.now();
-  return registrations.filter(r => {
-    if (!r.expiresAt) return true;
-    return r.expiresAt > now;
+  return registrations.find(r => r.name === name && r !== except && !(r.expiresAt && r.expiresAt <= now));
+}
+
+function nameTaken(name, holder) {
+  return new HttpError(409, `Service name "${name}" is already used by port ${formatBinding(holder.port, holder)} (${holder.agent})`, {
+    registeredBy: auth.publicRegistration(holder),
   });
 }
 
-// ─── OS Port Detection ─────────────────────────────────────────────────────────
+// Runs before every registry write, like grantWaiters: a service name belongs
+// to one TCP registration at a time, however the write came about. Throws
+// HttpError, which rolls the whole mutation back.
+function checkServiceNames(data) {
+  const committed = new Map(store.read().registrations.filter(r => r.name).map(r => [r.id, r.name]));
+  for (const reg of data.registrations) {
+    if (!reg.name) continue;
+    if (reg.proto !== 'tcp') {
+      throw new HttpError(400, `Port ${formatBinding(reg.port, reg)} is UDP — only TCP registrations can have a service name`);
+    }
+    const other = nameHolder(data.registrations, reg.name, reg);
+    if (!other) continue;
+    // Report whichever of the two had the name before this write
+    throw nameTaken(reg.name, committed.get(other.id) === other.name ? other : reg);
+  }
+}
 
-// Build a map of PID -> process name from `tasklist`
-function getPidMap() {
-  try {
-    const out = execSync('tasklist /FO CSV /NH', { encoding: 'utf-8', timeout: 8000 });
-    const map = new Map();
-    for (const line of out.split(/\r?\n/)) {
-      // CSV format: "process.exe","PID","Session","N","Mem"
-      const m = line.match(/^"([^"]+)","(\d+)"/);
-      if (m) map.set(parseInt(m[2]), m[1]);
+// tcp / http checks connect to the port, which only works for TCP registrations
+function checkHealthProto(healthCheck, proto) {
+  if (healthCheck.type !== 'process' && String(proto || 'tcp').toLowerCase() === 'udp') {
+    throw new HttpError(400, `A ${healthCheck.type} health check needs a TCP registration — use type "process" for UDP`);
+  }
+}
+
+// Applies a JSON merge patch (RFC 7396) to `current`: keys set to null are
+// removed, objects merge recursively. Throws HttpError 400.
+function mergeMetadata(current, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new HttpError(400, 'metadata must be an object (or null to clear it)');
+  }
+  const merge = (target, changes) => {
+    const out = { ...target };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete out[key];
+      else if (typeof value === 'object' && !Array.isArray(value)) {
+        const base = out[key] && typeof out[key] === 'object' && !Array.isArray(out[key]) ? out[key] : {};
+        out[key] = merge(base, value);
+      } else out[key] = value;
     }
-    return map;
-  } catch {
-    return new Map();
+    return out;
+  };
+  const merged = merge(current || {}, patch);
+  if (Buffer.byteLength(JSON.stringify(merged)) > MAX_METADATA_BYTES) {
+    throw new HttpError(400, `metadata must stay under ${MAX_METADATA_BYTES} bytes of JSON`);
   }
+  return merged;
 }
 
-// Parses `netstat -ano` ONCE and returns a Map: port -> { pid, proto, state }
-// Only includes ports that are actually BOUND/LISTENING — not outbound connections.
-// TCP: state must be LISTENING
-// UDP: always bound (no state column)
-function getSystemPorts() {
-  try {
-    const output = execSync('netstat -ano', { encoding: 'utf-8', timeout: 8000 });
-    // port -> { pid, proto, state } — first match wins (dedupes IPv4/IPv6 for same port)
-    const portMap = new Map();
-    const lines = output.split(/\r?\n/);
-    for (const line of lines) {
-      const m =
-        line.match(/^\s+(TCP|UDP)\s+[\d.]*:(\d+)\s+\S+\s+(\S+)\s+(\d+)/) ||
-        line.match(/^\s+(TCP|UDP)\s+\[.*?\]:(\d+)\s+\S+\s+(\S+)\s+(\d+)/);
-      if (!m) continue;
-      const [, proto, portStr, state, pidStr] = m;
-      // Skip outbound connections — we only want listening/bound ports
-      if (proto === 'TCP' && state !== 'LISTENING') continue;
-      const port = parseInt(portStr);
-      const pid = parseInt(pidStr);
-      if (port > 0 && port <= 65535 && !portMap.has(port)) {
-        portMap.set(port, { pid, proto, state: proto === 'UDP' ? 'UDP' : state });
+// Owner liveness and whether the OS shows the owner holding the port — itself
+// or a process it started, as with wrappers like `port-register run` or
+// `npm run`: ownerVerified is true when it does, false when only other PIDs
+// do, null when the socket isn't bound (or there is no owner PID to compare).
+// `ancestors` is the scan's Map<pid, [parent, …]>, null if unknown.
+function ownerStatus(reg, sockets, ancestors) {
+  if (!reg.ownerPid) return {};
+  const known = sockets.filter(b => b.pid);
+  const ownedBy = b => b.pid === reg.ownerPid || !!(ancestors && (ancestors.get(b.pid) || []).includes(reg.ownerPid));
+  return {
+    ownerAlive: isProcessAlive(reg.ownerPid),
+    ownerVerified: known.length ? known.some(ownedBy) : null,
+  };
+}
+
+// Returns p => boolean: no registration or OS socket on p conflicts with
+// `binding`, and p is not reserved by policy. `portMap` is one OS snapshot
+// (null if unreadable); `isFree.osTable` records whether there was one.
+function freePortChecker(registrations, binding, portMap) {
+  const isFree = p => !registrations.some(r => r.port === p && bindingsConflict(r, binding)) &&
+    !policy.reservedFor(p) &&
+    !isPortInUseByOS(p, portMap, binding);
+  isFree.osTable = portMap !== null;
+  return isFree;
+}
+
+// Candidate ports in scan order: `preferred` first (if free), then the range
+function* freePorts(isFree, { min, max }, preferred = null) {
+  if (preferred !== null && isFree(preferred)) yield preferred;
+  for (let p = min; p <= max; p++) {
+    if (p !== preferred && isFree(p)) yield p;
+  }
+}
+
+// First candidate that is actually usable. With `probe`, each one must also
+// bind; otherwise the registry / OS table answer stands. Returns
+// { port, decidedBy } or null, where decidedBy names the last check that ran.
+async function pickPort(isFree, range, { preferred = null, binding, probe = false } = {}) {
+  const candidates = freePorts(isFree, range, preferred);
+  if (probe) {
+    const found = await firstBindable(candidates, binding);
+    return found && { port: found.port, decidedBy: 'bind-probe' };
+  }
+  const { value: port, done } = candidates.next();
+  return done ? null : { port, decidedBy: isFree.osTable ? 'os-table' : 'registry' };
+}
+
+// ?probe=1 / "probe": true style switches
+function flag(value) {
+  return value === true || value === '1' || value === 'true';
+}
+
+// Whether suggest / claim should bind-probe: the request decides, else the server's suggestProbe setting
+function probeWanted(value) {
+  return value === undefined ? config.suggestProbe : flag(value);
+}
+
+// The registration on `port` a heartbeat / release refers to. When the port
+// is held for more than one socket (say TCP and UDP), `proto` / `address`
+// from the query or body pick one, else the caller's lease token does.
+function findRegistration(registrations, port, req) {
+  let matches = registrations.filter(r => r.port === port);
+  const source = { ...req.query, ...req.body };
+  if (matches.length > 1 && source.proto !== undefined) {
+    const { proto } = parseBinding({ proto: source.proto });
+    matches = matches.filter(r => r.proto === proto);
+  }
+  if (matches.length > 1 && source.address !== undefined) {
+    const { address } = parseBinding({ address: source.address });
+    matches = matches.filter(r => r.address === address);
+  }
+  if (matches.length > 1) {
+    const owned = matches.filter(r => !auth.checkLease(req, r));
+    if (owned.length === 1) return owned[0];
+    throw new HttpError(409, `Port ${port} is registered for ${matches.length} sockets — pass proto and/or address to pick one`, {
+      registrations: matches.map(auth.publicRegistration),
+    });
+  }
+  return matches[0] || null;
+}
+
+// Who may act for the holder of `reg`: its lease token, or the admin token
+function requireHolder(req, reg) {
+  const denied = auth.checkLease(req, reg, { allowAdmin: true });
+  if (denied) throw new HttpError(denied.status, denied.error);
+}
+
+// Only an admin manages a permanent registration's lifecycle — its lease
+// token alone can't release it or hand it on. Throws HttpError 401 / 403.
+function requireAdminIfPermanent(req, reg, action) {
+  if (reg.permanent && !auth.isAdmin(req)) {
+    throw new HttpError(auth.hasAdminCredential(req) ? 403 : 401, `Port ${reg.port} is a permanent registration — ${action} it requires the admin token`);
+  }
+}
+
+// Resolves { pool } | { range: "3000-3999" } | { min, max } from a request body
+// or query into { min, max, pool? }. Falls back to the policy's defaultRange.
+function resolveRange(source) {
+  if (source.pool !== undefined) {
+    const range = policy.pool(source.pool);
+    if (!range) {
+      throw new HttpError(400, `Unknown pool "${source.pool}" — see GET /api/policy for the configured pools`);
+    }
+    return { ...range, pool: source.pool };
+  }
+  let { min, max } = policy.defaultRange;
+  if (typeof source.range === 'string') {
+    const m = source.range.match(/^\s*(\d+)\s*[-–]\s*(\d+)\s*$/);
+    min = m ? parseInt(m[1]) : NaN;
+    max = m ? parseInt(m[2]) : NaN;
+  } else {
+    if (source.min !== undefined) min = parseInt(source.min);
+    if (source.max !== undefined) max = parseInt(source.max);
+  }
+  if (isNaN(min) || isNaN(max) || min < 1 || max > 65535 || min > max) {
+    throw new HttpError(400, 'Invalid range — use pool, min/max or range "MIN-MAX" within 1–65535');
+  }
+  return { min, max };
+}
+
+// Throws a 403 explaining the first policy rule a registration request breaks:
+// explicitly requested reserved ports, the agent's max TTL, or its quota.
+function enforcePolicy(registrations, agent, { ports = [], count = ports.length, ttlMinutes } = {}) {
+  for (const port of ports) {
+    const rule = policy.reservedFor(port);
+    if (rule) {
+      throw new HttpError(403, `Port ${port} is reserved by policy: ${rule.reason}`, {
+        violation: { rule: 'reserved', ports: formatRange(rule), reason: rule.reason },
+      });
+    }
+  }
+
+  const limits = policy.limitsFor(agent);
+  if (limits.maxTtlMinutes && ttlMinutes && Number(ttlMinutes) > limits.maxTtlMinutes) {
+    throw new HttpError(403, `TTL of ${ttlMinutes} minutes exceeds the ${limits.maxTtlMinutes}-minute maximum for "${agent}"`, {
+      violation: { rule: 'maxTtlMinutes', limit: limits.maxTtlMinutes },
+    });
+  }
+  if (limits.maxRegistrations) {
+    const held = registrations.filter(r => r.agent === agent).length;
+    if (held + count > limits.maxRegistrations) {
+      throw new HttpError(403, `"${agent}" already holds ${held} of ${limits.maxRegistrations} allowed registrations — cannot add ${count} more`, {
+        violation: { rule: 'maxRegistrations', limit: limits.maxRegistrations, held },
+      });
+    }
+  }
+}
+
+// ─── Wait Queue ────────────────────────────────────────────────────────────────
+
+// Runs before every registry write: hands freed ports to waiters, first come
+// first served, in the same transaction that freed them — nobody can register
+// in between. A waiter whose socket is still taken — registered, bound by a
+// process in the last OS scan, or conflicting with the socket of someone ahead
+// of it — keeps its place.
+function grantWaiters(data, tx) {
+  const { ports: osPorts } = osScanner.snapshot();
+  for (const port of waitQueue.ports()) {
+    const ahead = [];
+    for (const waiter of waitQueue.forPort(port)) {
+      const blocked = data.registrations.some(r => r.port === port && bindingsConflict(r, waiter.binding)) ||
+        isPortInUseByOS(port, osPorts, waiter.binding) ||
+        ahead.some(b => bindingsConflict(b, waiter.binding));
+      if (blocked) {
+        ahead.push(waiter.binding);
+        continue;
+      }
+      try {
+        enforcePolicy(data.registrations, waiter.agent, { count: 1, ttlMinutes: waiter.ttlMinutes });
+        const { name } = waiter.descriptors;
+        const holder = name && nameHolder(data.registrations, name);
+        if (holder) throw nameTaken(name, holder);
+      } catch (e) {
+        if (!(e instanceof HttpError)) throw e;
+        tx.afterCommit(() => {
+          waitQueue.settle(waiter, 'rejected', { status: e.status, error: e.message, ...e.extra });
+          waitEvent(waiter, 'rejected', { error: e.message });
+        });
+        continue;
       }
+      const created = createRegistration(port, waiter.agent, waiter.reason, waiter.ttlMinutes, {
+        ownerPid: waiter.pid,
+        binding: waiter.binding,
+        ...waiter.descriptors,
+      });
+      data.registrations.push(created.registration);
+      tx.afterCommit(() => {
+        recordEvent('register', created.registration, { via: 'wait', waitedMs: Date.now() - waiter.since });
+        waitQueue.settle(waiter, 'granted', created);
+      });
     }
-    return portMap; // Map<number, {pid, proto, state}>
-  } catch (e) {
-    console.error('netstat failed:', e.message);
-    return null;
   }
 }
 
+function waitEvent(waiter, status, extra = {}) {
+  return recordEvent('wait', { port: waiter.port, ...waiter.binding, agent: waiter.agent, reason: waiter.reason }, { status, ...extra });
+}
+
+// Sends a settled waiter's outcome: the new registration, or why there isn't one
+function sendWaitOutcome(res, waiter) {
+  const { status, result } = waiter;
+  if (status === 'granted') {
+    return res.status(201).json({
+      success: true,
+      status,
+      registration: auth.publicRegistration(result.registration),
+      leaseToken: result.leaseToken,
+      waitedMs: Date.parse(result.registration.registeredAt) - waiter.since,
+    });
+  }
+  if (status === 'rejected') {
+    const { status: httpStatus, ...body } = result;
+    return res.status(httpStatus).json({ status, ...body });
+  }
+  if (status === 'expired') {
+    return res.status(408).json({ status, error: `Gave up waiting for port ${formatBinding(waiter.port, waiter.binding)} — the wait timed out` });
+  }
+  res.status(410).json({ status, error: 'This wait was cancelled' });
+}
+
+// Waits (up to `ms`) for the waiter to settle, expiring it if its own
+// timeout passes meanwhile. The expiry goes through the store queue, so a
+// hand-over already under way commits first and its grant is the answer.
+async function awaitWaiter(waiter, ms) {
+  await waitQueue.next(waiter, Math.min(ms, Math.max(waiter.expiresAt - Date.now(), 0)));
+  if (waiter.status === 'waiting' && Date.now() >= waiter.expiresAt) {
+    await store.mutate(() => {
+      if (waiter.status !== 'waiting') return;
+      waitQueue.settle(waiter, 'expired');
+      waitEvent(waiter, 'expired');
+    });
+  }
+  return waiter;
+}
+
+// Who is queued where: port -> [waiter summary], first in line first
+function queueSummary() {
+  return Object.fromEntries(waitQueue.ports().map(p => [p, waitQueue.forPort(p).map(waitQueue.describe)]));
+}
+
+// Drops expired registrations and returns the live list
+async function activeRegistrations() {
+  await store.mutate(pruneExpired);
+  return store.read().registrations;
+}
+
+// ─── OS Port Detection ─────────────────────────────────────────────────────────
+
+// OS sockets on `port` that a bind of `binding` would collide with
+function conflictingSockets(port, portMap, binding) {
+  const info = portMap ? portMap.get(parseInt(port)) : null;
+  return info ? info.bindings.filter(b => bindingsConflict(binding, b)) : [];
+}
+
+function isPortInUseByOS(port, portMap, binding = { proto: 'tcp', address: null }) {
+  if (portMap === null) return null;
+  return conflictingSockets(port, portMap, binding).length > 0;
+}
+
+// Routes read the background scanner's snapshot rather than scanning per request
+const osScanner = createScanner({ intervalMs: OS_SCAN_INTERVAL_MS, timeoutMs: config.scanTimeoutMs });
+
+// Waiters held back only by an unregistered listener get their port once a
+// scan shows it gone — no registry write would wake grantWaiters otherwise
+osScanner.on('scan', snap => {
+  const registrations = store.read().registrations;
+  const ready = waitQueue.ports().some(port => waitQueue.forPort(port).some(w =>
+    !registrations.some(r => r.port === port && bindingsConflict(r, w.binding)) &&
+    !isPortInUseByOS(port, snap.ports, w.binding)));
+  if (ready) store.mutate(() => {}).catch(e => console.error('Granting waiters failed:', e.message));
+});
+
+// The OS snapshot for a request; ?fresh=1 (or "fresh": true) rescans first
+function osSnapshot(req) {
+  return osScanner.current({ fresh: flag(req.query.fresh) || flag(req.body && req.body.fresh) });
+}
+
+// How old the OS data behind a response is
+function scanInfo(snap) {
+  return {
+    scannedAt: snap.scannedAt ? new Date(snap.scannedAt).toISOString() : null,
+    ageMs: snap.ageMs,
+    backend: snap.backend,
+    ...(snap.error ? { error: snap.error } : {}),
+  };
+}
+
+// ─── Stale Registrations ───────────────────────────────────────────────────────
+
+const reconciler = createReconciler();
+
+// Stale state under the agent's grace period — null while the socket is listening
+function staleStatus(reg) {
+  const graceMinutes = policy.limitsFor(reg.agent).staleGraceMinutes || STALE_GRACE_MINUTES;
+  return reconciler.status(reg, graceMinutes * 60 * 1000);
+}
+
+// Releases registrations by id, recording why each one was stale
+function releaseStale(ids, by) {
+  return store.mutate((data, tx) => {
+    const released = data.registrations.filter(r => ids.includes(r.id));
+    const causes = new Map(released.map(r => {
+      const stale = staleStatus(r);
+      return [r.id, stale ? `${stale.reason.replace('-', ' ')} since ${stale.since}` : 'not listening'];
+    }));
+    data.registrations = data.registrations.filter(r => !released.includes(r));
+    tx.afterCommit(() => released.forEach(r => recordEvent('release', r, { by, cause: `stale — ${causes.get(r.id)}` })));
+    return released;
+  });
+}
+
+// After each background scan: update stale tracking, then release flagged
+// registrations whose agent's policy sets autoReleaseStale. Permanent
+// registrations are flagged but never released automatically.
+function reconcileStale(snap) {
+  const registrations = store.read().registrations;
+  reconciler.observe(registrations, r => conflictingSockets(r.port, snap.ports, r).length > 0);
+  const doomed = registrations.filter(r => !r.permanent &&
+    policy.limitsFor(r.agent).autoReleaseStale &&
+    (staleStatus(r) || {}).flagged);
+  return doomed.length ? releaseStale(doomed.map(r => r.id), 'system') : Promise.resolve([]);
+}
+
+osScanner.on('scan', snap => {
+  reconcileStale(snap).catch(e => console.error('Stale reconciliation failed:', e.message));
+});
+
+// ─── Live Events ───────────────────────────────────────────────────────────────
+
+const liveEvents = createEventHub();
+
+// Publish what appeared / disappeared between background scans
+osScanner.on('diff', diff => liveEvents.publish('os-ports', diff));
+
+// ─── Health Checks ─────────────────────────────────────────────────────────────
+
+const healthChecker = createHealthChecker();
+
+// Starts the checks that are due, judging process names against the last OS
+// scan. Status changes are pushed to live clients as 'health' events.
+function runHealthChecks() {
+  const registrations = store.read().registrations;
+  healthChecker.retain(registrations);
+  const { ports } = osScanner.snapshot();
+  for (const reg of healthChecker.due(registrations)) {
+    const sockets = conflictingSockets(reg.port, ports, reg);
+    const os = {
+      listening: ports ? sockets.length > 0 : null,
+      process: sockets[0] ? sockets[0].process : null,
+      addresses: sockets.map(b => b.address),
+    };
+    healthChecker.run(reg, os).then(({ result, changed }) => {
+      if (changed) liveEvents.publish('health', { port: reg.port, ...bindingFields(reg), id: reg.id, agent: reg.agent, ...result });
+    }).catch(e => console.error(`Health check for port ${reg.port} failed:`, e.message));
+  }
+}
+
+// ─── Service Proxy ─────────────────────────────────────────────────────────────
+
+// Live TCP registrations with a service name, by name — read from the registry
+// on every call, so register / release / expiry change routes straight away
+function serviceRoutes() {
+  const now = Date.now();
+  return store.read().registrations
+    .filter(r => r.name && r.proto === 'tcp' && !(r.expiresAt && r.expiresAt <= now))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Proxy target for a name: connects where the OS shows the socket bound, and
+// never off this machine
+function resolveService(name) {
+  const reg = serviceRoutes().find(r => r.name === name);
+  if (!reg) return null;
+  const sockets = conflictingSockets(reg.port, osScanner.snapshot().ports, reg);
+  const host = connectHost(reg, sockets.map(b => b.address));
+  return host ? { host, port: reg.port, registration: reg } : null;
+}
+
+// Where a named service can be reached: only through the proxy port, and only
+// when it runs — never on this server's origin, see lib/proxy.js
+function serviceUrls(name) {
+  return config.proxyPort ? { url: `http://${name}.localhost:${config.proxyPort}/` } : {};
+}
+
+const serviceProxy = createServiceProxy({
+  resolve: resolveService,
+  routes: () => serviceRoutes().map(r => ({ name: r.name, port: r.port, agent: r.agent })),
+  onRequest: (name, outcome) => proxyRequests.inc({ outcome }),
+});
+
+// ─── Metrics & Health ──────────────────────────────────────────────────────────
+
+const metrics = createMetrics();
+
+const registrationsCreated = metrics.counter('port_register_registrations_created_total',
+  'Registrations created, by how (register, claim, group, wait, adopt)', ['via']);
+const registrationsReleased = metrics.counter('port_register_registrations_released_total',
+  'Registrations released before they expired, by who released them', ['by']);
+const registrationsExpired = metrics.counter('port_register_registrations_expired_total',
+  'Registrations dropped because their TTL ran out');
+const conflicts = metrics.counter('port_register_conflicts_total',
+  'Requests refused with 409 Conflict, by route', ['route']);
+const suggestMisses = metrics.counter('port_register_suggest_misses_total',
+  'Suggest, claim and group requests that found no free port, by route', ['route']);
+const osScanDuration = metrics.histogram('port_register_os_scan_duration_seconds',
+  'Time taken to read the OS port table', OS_SCAN_BUCKETS);
+const osScanFailures = metrics.counter('port_register_os_scan_failures_total',
+  'OS port table scans that failed');
+const proxyRequests = metrics.counter('port_register_proxy_requests_total',
+  'Requests and WebSocket upgrades through the service proxy, by outcome (proxied, unknown, unavailable)', ['outcome']);
+
+metrics.gauge('port_register_registrations_active', 'Active registrations per agent', () => {
+  const now = Date.now();
+  const perAgent = new Map();
+  for (const r of store.read().registrations) {
+    if (r.expiresAt && r.expiresAt <= now) continue;
+    perAgent.set(r.agent, (perAgent.get(r.agent) || 0) + 1);
+  }
+  return [...perAgent].map(([agent, value]) => ({ labels: { agent }, value }));
+});
+
+metrics.gauge('port_register_unregistered_listening_ports',
+  'Ports the last OS scan saw bound with at least one socket nobody registered', () => {
+    const { ports } = osScanner.snapshot();
+    if (!ports) return [];
+    const registrations = store.read().registrations;
+    return [...ports].filter(([port, info]) =>
+      info.bindings.some(b => !registrations.some(r => r.port === port && bindingsConflict(r, b)))).length;
+  });
+
+metrics.gauge('port_register_os_scan_last_success_timestamp_seconds',
+  'When the OS port table was last read successfully', () => {
+    const { scannedAt } = osScanner.snapshot();
+    return scannedAt ? [{ labels: {}, value: scannedAt / 1000 }] : [];
+  });
+
+metrics.gauge('port_register_health_checks', 'Registrations with a health check, by last status (pending before the first run)', () => {
+  const counts = { healthy: 0, unhealthy: 0, mismatch: 0, pending: 0 };
+  for (const r of store.read().registrations.filter(reg => reg.healthCheck)) {
+    const result = healthChecker.result(r);
+    counts[result ? result.status : 'pending']++;
+  }
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
 
+metrics.gauge('port_register_wait_queue_length', 'Agents waiting for busy ports', () =>
+  waitQueue.ports().reduce((n, port) => n + waitQueue.forPort(port).length, 0));
 
-function isPortInUseByOS(port, portMap) {
-  const map = portMap !== undefined ? portMap : getSystemPorts();
-  if (map === null) return null;
-  return map.has(parseInt(port));
+metrics.gauge('port_register_storage_writable', 'Whether the registry file can be written (1) or not (0)', () =>
+  (store.health().writable ? 1 : 0));
+
+metrics.gauge('port_register_uptime_seconds', 'Seconds since the server started', () =>
+  Math.round((Date.now() - STARTED_AT) / 1000));
+
+// Lifecycle counters follow the history log, so background releases and
+// expiries are counted the same way as API calls
+function countEvent(entry) {
+  if (entry.type === 'register') registrationsCreated.inc({ via: entry.via || (entry.groupId ? 'group' : 'register') });
+  else if (entry.type === 'release') registrationsReleased.inc({ by: entry.by || 'owner' });
+  else if (entry.type === 'force-clear') registrationsReleased.inc({ by: 'admin' }, entry.count);
+  else if (entry.type === 'expire') registrationsExpired.inc();
 }
 
+osScanner.on('scan', snap => osScanDuration.observe(snap.durationMs / 1000));
+osScanner.on('scan-failed', ({ durationMs }) => {
+  osScanFailures.inc();
+  osScanDuration.observe(durationMs / 1000);
+});
+
+// Counts every 409 by the route that sent it
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode === 409) conflicts.inc({ route: req.route ? req.route.path : req.path });
+  });
+  next();
+});
+
 // ─── API Routes ────────────────────────────────────────────────────────────────
 
-// GET /api/ports — list all active registrations
-app.get('/api/ports', (req, res) => {
-  const data = loadData();
-  data.registrations = pruneExpired(data.registrations);
-  saveData(data);
-
-  // Run netstat + tasklist ONCE and reuse for all registrations
-  const portMap = getSystemPorts();
-  const pidMap = portMap ? getPidMap() : new Map();
-  const enriched = data.registrations.map(r => {
-    const info = portMap ? portMap.get(r.port) : null;
+// GET /api/ports — list active registrations
+// Query (all optional, see lib/query.js): agent, tag, label.KEY, portMin, portMax,
+// osInUse, expiringWithin (minutes), q (text search), sort (port | agent |
+// registeredAt | expiresAt, "-" for descending), limit, offset. `total` counts
+// every match; `groups` and `queues` always cover the whole registry.
+app.get('/api/ports', route(async (req, res) => {
+  const query = parseListQuery(req.query, REGISTRATION_SORT_FIELDS);
+  const registrations = await activeRegistrations();
+
+  // One OS snapshot for all registrations
+  const snap = await osSnapshot(req);
+  const portMap = snap.ports;
+  const enriched = registrations.map(r => {
+    // Only sockets matching the registration count: a UDP listener on the
+    // same number says nothing about a TCP registration
+    const sockets = conflictingSockets(r.port, portMap, r);
+    const info = sockets[0];
     return {
-      ...r,
-      osInUse: portMap ? portMap.has(r.port) : null,
+      ...auth.publicRegistration(r),
+      osInUse: portMap ? sockets.length > 0 : null,
       osPid: info ? info.pid : null,
       osProto: info ? info.proto : null,
       osState: info ? info.state : null,
-      osProcess: info ? (pidMap.get(info.pid) || null) : null,
+      osProcess: info ? info.process : null,
+      osAddresses: sockets.map(b => b.address),
+      ...ownerStatus(r, sockets, snap.ancestors),
+      stale: staleStatus(r),
+      health: healthChecker.result(r),
+      ...(r.name ? serviceUrls(r.name) : {}),
+      waiting: waitQueue.forPort(r.port).filter(w => bindingsConflict(r, w.binding)).length,
     };
   });
 
-  res.json({ registrations: enriched, count: enriched.length });
-});
+  // groupId -> { agent, ports } for block / named-set reservations
+  const groups = {};
+  for (const r of registrations) {
+    if (!r.groupId) continue;
+    if (!groups[r.groupId]) groups[r.groupId] = { agent: r.agent, ports: [] };
+    groups[r.groupId].ports.push(r.groupName ? { name: r.groupName, port: r.port } : { port: r.port });
+  }
+
+  const matching = sortItems(enriched.filter(r => matchesRegistration(r, query.filters)), query.sort);
+  const page = paginate(matching, query);
+  res.json({
+    registrations: page,
+    count: page.length,
+    total: matching.length,
+    limit: query.limit,
+    offset: query.offset,
+    groups,
+    queues: queueSummary(),
+    osScan: scanInfo(snap),
+  });
+}));
 
 // GET /api/ports/system — all OS-level ports currently in use (with process info)
-app.get('/api/ports/system', (req, res) => {
-  const portMap = getSystemPorts();
+// Takes the /api/ports filters — registration filters match ports with a matching
+// registration — plus registered=true|false; sort is port | process | pid.
+app.get('/api/ports/system', route(async (req, res) => {
+  const query = parseListQuery(req.query, SYSTEM_SORT_FIELDS);
+  const snap = await osSnapshot(req);
+  const portMap = snap.ports;
   if (portMap === null) {
-    return res.status(500).json({ error: 'Could not run netstat — check server permissions' });
+    return res.status(500).json({ error: 'Could not read the OS port table — check server permissions', osScan: scanInfo(snap) });
   }
 
-  const pidMap = getPidMap();
-
-  const data = loadData();
-  data.registrations = pruneExpired(data.registrations);
-  const regMap = new Map(data.registrations.map(r => [r.port, r]));
+  const registrations = await activeRegistrations();
 
   const allPorts = [...portMap.keys()].sort((a, b) => a - b);
   const annotated = allPorts.map(p => {
-    const { pid, proto, state } = portMap.get(p);
-    const process = pidMap.get(pid) || null;
-    const registration = regMap.get(p) || null;
+    const { pid, proto, state, process, bindings } = portMap.get(p);
+    const regs = registrations.filter(r => r.port === p);
+    // Every local address the port is bound on, each with the registration
+    // (if any) that covers that socket
+    const sockets = bindings.map(b => {
+      const reg = regs.find(r => bindingsConflict(r, b));
+      return { ...b, registration: reg ? reg.id : null };
+    });
     return {
       port: p,
       pid,
       proto,
       state,
       process,
-      registered: regMap.has(p),
-      registration,
+      addresses: [...new Set(bindings.map(b => b.address))],
+      bindings: sockets,
+      registered: regs.length > 0,
+      unregistered: sockets.some(b => !b.registration), // some socket nobody registered
+      registration: auth.publicRegistration(regs[0]) || null,
+      registrations: regs.map(auth.publicRegistration),
     };
   });
 
-  res.json({ ports: annotated, total: annotated.length });
-});
+  const matching = sortItems(annotated.filter(p => matchesSystemPort(p, query.filters)), query.sort);
+  const page = paginate(matching, query);
+  res.json({
+    ports: page,
+    count: page.length,
+    total: matching.length,
+    limit: query.limit,
+    offset: query.offset,
+    osScan: scanInfo(snap),
+  });
+}));
 
 // GET /api/ports/check/:port — check if a port is available
-app.get('/api/ports/check/:port', (req, res) => {
+// Query: proto (tcp | udp, default tcp), address (bind address, default all interfaces),
+// probe=1 to confirm a free answer by binding the port. `decidedBy` names the
+// check that settled it: registry, policy, os-table or bind-probe.
+app.get('/api/ports/check/:port', route(async (req, res) => {
   const port = parseInt(req.params.port);
 
   if (isNaN(port) || port < 1 || port > 65535) {
     return res.status(400).json({ error: 'Invalid port number (1–65535)' });
   }
+  const binding = parseBinding(req.query);
 
-  const data = loadData();
-  data.registrations = pruneExpired(data.registrations);
-  saveData(data);
+  const registrations = await activeRegistrations();
+  const registered = registrations.find(r => r.port === port && bindingsConflict(r, binding));
+  const reserved = policy.reservedFor(port);
+  const snap = await osSnapshot(req);
+  const portMap = snap.ports;
+  const osInUse = isPortInUseByOS(port, portMap, binding);
+  const label = formatBinding(port, binding);
 
-  const registered = data.registrations.find(r => r.port === port);
-  const osInUse = isPortInUseByOS(port);
+  let decidedBy = registered ? 'registry' : reserved ? 'policy' : osInUse ? 'os-table' : null;
+  let probe = null;
+  if (!decidedBy && flag(req.query.probe)) {
+    probe = await probeBind(port, binding);
+    if (probe.free === false) decidedBy = 'bind-probe';
+  }
+  const available = !decidedBy;
+  if (available) {
+    decidedBy = probe && probe.free ? 'bind-probe' : osInUse === null ? 'registry' : 'os-table';
+  }
 
   res.json({
     port,
-    available: !registered && !osInUse,
-    registeredBy: registered || null,
+    ...binding,
+    available,
+    decidedBy,
+    registeredBy: auth.publicRegistration(registered) || null,
+    reserved: reserved ? { ports: formatRange(reserved), reason: reserved.reason } : null,
     osInUse: osInUse,
+    osBindings: conflictingSockets(port, portMap, binding),
+    waiting: waitQueue.forPort(port).filter(w => bindingsConflict(w.binding, binding)).length,
+    ...(probe ? { probe } : {}),
+    osScan: scanInfo(snap),
     recommendation: registered
-      ? `Port ${port} is registered by "${registered.agent}" for: ${registered.reason}`
-      : osInUse
-        ? `Port ${port} is in use by the OS (unregistered process)`
-        : `Port ${port} appears to be free — safe to use`,
+      ? `Port ${label} is registered by "${registered.agent}" for: ${registered.reason}`
+      : reserved
+        ? `Port ${port} is reserved by policy: ${reserved.reason}`
+        : osInUse
+          ? `Port ${label} is in use by the OS (unregistered process)`
+          : !available
+            ? `Port ${label} cannot be bound (${probe.code}) — held or reserved by the OS`
+            : `Port ${label} ${decidedBy === 'bind-probe' ? 'is free (bind probe succeeded)' : 'appears to be free'} — safe to use`,
   });
-});
+}));
 
 // POST /api/ports/register — register a port
-app.post('/api/ports/register', (req, res) => {
-  const { port, agent, reason, ttlMinutes } = req.body;
+app.post('/api/ports/register', route(async (req, res) => {
+  const { port, agent, reason, ttlMinutes, permanent, pid } = req.body;
 
   if (!port || isNaN(parseInt(port)) || parseInt(port) < 1 || parseInt(port) > 65535) {
     return res.status(400).json({ error: 'Invalid or missing port (1–65535)' });
@@ -205,112 +977,1239 @@ app.post('/api/ports/register', (req, res) => {
     return res.status(400).json({ error: 'Missing required field: reason' });
   }
 
-  const portNum = parseInt(port);
-  const data = loadData();
-  data.registrations = pruneExpired(data.registrations);
-
-  const existing = data.registrations.find(r => r.port === portNum);
-  if (existing) {
-    return res.status(409).json({
-      error: `Port ${portNum} is already registered`,
-      registeredBy: existing,
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (!validPid(pid)) {
+    return res.status(400).json({ error: 'pid must be a positive integer' });
+  }
+  if (permanent && !auth.isAdmin(req)) {
+    return res.status(auth.hasAdminCredential(req) ? 403 : 401).json({
+      error: 'Permanent registrations require the admin token (X-Admin-Token header)',
     });
   }
+  const binding = parseBinding(req.body);
+  const descriptors = parseDescriptors(req.body);
 
-  const now = Date.now();
-  const ttl = ttlMinutes ? parseInt(ttlMinutes) * 60 * 1000 : TTL_MS;
-  const registration = {
-    port: portNum,
-    agent: agent.trim(),
-    reason: reason.trim(),
-    registeredAt: new Date().toISOString(),
-    expiresAt: now + ttl,
-    id: `${portNum}-${now}`,
-  };
+  const portNum = parseInt(port);
+  const { registration, leaseToken } = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    // Admins creating permanent entries (shared infrastructure) bypass the policy
+    if (!permanent) enforcePolicy(data.registrations, agent.trim(), { ports: [portNum], ttlMinutes });
 
-  data.registrations.push(registration);
-  saveData(data);
+    const existing = data.registrations.find(r => r.port === portNum && bindingsConflict(r, binding));
+    if (existing) {
+      recordEvent('conflict', { port: portNum, ...binding, agent: agent.trim(), reason: reason.trim() }, { heldBy: existing.agent });
+      throw new HttpError(409, `Port ${formatBinding(portNum, existing)} is already registered`, {
+        registeredBy: auth.publicRegistration(existing),
+      });
+    }
 
-  res.status(201).json({ success: true, registration });
-});
+    const created = createRegistration(portNum, agent, reason, ttlMinutes, {
+      permanent: !!permanent,
+      ownerPid: pid,
+      binding,
+      ...descriptors,
+    });
+    data.registrations.push(created.registration);
+    tx.afterCommit(() => recordEvent('register', created.registration));
+    return created;
+  });
 
-// POST /api/ports/:port/heartbeat — refresh TTL
-app.post('/api/ports/:port/heartbeat', (req, res) => {
-  const port = parseInt(req.params.port);
-  const { agent } = req.body;
+  res.status(201).json({ success: true, registration: auth.publicRegistration(registration), leaseToken });
+}));
 
-  const data = loadData();
-  const reg = data.registrations.find(r => r.port === port);
+// POST /api/ports/claim — pick a free port in a range and register it in one step
+// Body: { agent, reason, ttlMinutes?, preferred?, proto?, address?, probe?, name?, tags?,
+//         labels?, healthCheck?, pool? | range?: "3000-3999" | min?, max? }
+// The final check and the write happen inside a single store mutation, so two
+// concurrent claims can never be handed the same port. Bind probes (up to a
+// second each) run before it against the committed registry, so a slow claim
+// never holds up other writes; the mutation re-checks the probed port and the
+// claim starts over if another write took it in the meantime.
+app.post('/api/ports/claim', route(async (req, res) => {
+  const { agent, reason, ttlMinutes, preferred, pid, probe } = req.body;
 
-  if (!reg) {
-    return res.status(404).json({ error: `Port ${port} is not registered` });
+  if (!agent || typeof agent !== 'string' || !agent.trim()) {
+    return res.status(400).json({ error: 'Missing required field: agent' });
   }
-  if (agent && reg.agent !== agent) {
-    return res.status(403).json({ error: 'Agent mismatch — cannot refresh another agent\'s registration' });
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'Missing required field: reason' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (!validPid(pid)) {
+    return res.status(400).json({ error: 'pid must be a positive integer' });
+  }
+  const range = resolveRange(req.body);
+  const binding = parseBinding(req.body);
+  const descriptors = parseDescriptors(req.body);
+  const preferredPort = preferred !== undefined ? parseInt(preferred) : null;
+  if (preferredPort !== null && (isNaN(preferredPort) || preferredPort < 1 || preferredPort > 65535)) {
+    return res.status(400).json({ error: 'Invalid preferred port (1–65535)' });
   }
 
-  reg.expiresAt = Date.now() + TTL_MS;
-  reg.lastHeartbeat = new Date().toISOString();
-  saveData(data);
-
-  res.json({ success: true, expiresAt: new Date(reg.expiresAt).toISOString() });
-});
-
-// DELETE /api/ports/:port — release a port
-app.delete('/api/ports/:port', (req, res) => {
-  const port = parseInt(req.params.port);
-  const { agent } = req.body;
+  const snap = await osSnapshot(req);
+  const probing = probeWanted(probe);
+  const notFound = () => {
+    suggestMisses.inc({ route: 'claim' });
+    return new HttpError(404, `No available ports found in range ${range.min}–${range.max}`);
+  };
+  const lost = new Set(); // probed ports another write registered first
+  let claimed = null;
+  for (let attempt = 1; !claimed; attempt++) {
+    let probed = null;
+    if (probing) {
+      const isFree = freePortChecker(await activeRegistrations(), binding, snap.ports);
+      probed = await pickPort(p => !lost.has(p) && isFree(p), range, { preferred: preferredPort, binding, probe: true });
+      if (!probed) throw notFound();
+    }
 
-  const data = loadData();
-  const idx = data.registrations.findIndex(r => r.port === port);
+    claimed = await store.mutate(async (data, tx) => {
+      pruneExpired(data, tx);
+      enforcePolicy(data.registrations, agent.trim(), { count: 1, ttlMinutes });
+      const isFree = freePortChecker(data.registrations, binding, snap.ports);
 
-  if (idx === -1) {
-    return res.status(404).json({ error: `Port ${port} is not registered` });
-  }
+      if (probed && !isFree(probed.port)) return null;
+      const picked = probed || await pickPort(isFree, range, { preferred: preferredPort, binding });
+      if (!picked) throw notFound();
 
-  const reg = data.registrations[idx];
-  if (agent && reg.agent !== agent) {
-    return res.status(403).json({ error: 'Agent mismatch — cannot release another agent\'s port' });
+      const created = createRegistration(picked.port, agent, reason, ttlMinutes, { ownerPid: pid, binding, ...descriptors });
+      data.registrations.push(created.registration);
+      tx.afterCommit(() => recordEvent('register', created.registration, { via: 'claim' }));
+      return { ...created, decidedBy: picked.decidedBy };
+    });
+    if (!claimed) {
+      if (attempt === CLAIM_ATTEMPTS) {
+        throw new HttpError(409, 'Other agents kept registering the probed ports first — try the claim again');
+      }
+      lost.add(probed.port);
+    }
   }
+  const { registration, leaseToken, decidedBy } = claimed;
 
-  data.registrations.splice(idx, 1);
-  saveData(data);
-
-  res.json({ success: true, released: reg });
-});
-
-// DELETE /api/ports — force-clear all (admin use)
-app.delete('/api/ports', (req, res) => {
-  saveData({ registrations: [] });
-  res.json({ success: true, message: 'All registrations cleared' });
-});
+  res.status(201).json({
+    success: true,
+    registration: auth.publicRegistration(registration),
+    leaseToken,
+    decidedBy,
+    osScan: scanInfo(snap),
+  });
+}));
 
-// GET /api/suggest — suggest an available port in a range
-app.get('/api/suggest', (req, res) => {
-  const min = parseInt(req.query.min) || 3000;
-  const max = parseInt(req.query.max) || 9999;
-  const data = loadData();
-  data.registrations = pruneExpired(data.registrations);
-  const registeredPorts = new Set(data.registrations.map(r => r.port));
+// POST /api/ports/groups — reserve several ports as one all-or-nothing group
+// Body: { agent, reason, ttlMinutes?, pool? | range? | min?, max?, and either
+//   count: 4                                — a contiguous block inside the range, or
+//   ports: { web: 3000, api: null, db: null } — named ports; null = first free in range }
+// plus optional proto / address, tags, labels and healthCheck, applied to every member.
+// Every member gets the same groupId and shares one lease token.
+app.post('/api/ports/groups', route(async (req, res) => {
+  const { agent, reason, ttlMinutes, count, ports, pid } = req.body;
 
-  // Run netstat once for the whole range scan
-  const portMap = getSystemPorts();
+  if (!agent || typeof agent !== 'string' || !agent.trim()) {
+    return res.status(400).json({ error: 'Missing required field: agent' });
+  }
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'Missing required field: reason' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (!validPid(pid)) {
+    return res.status(400).json({ error: 'pid must be a positive integer' });
+  }
+  const range = resolveRange(req.body);
+  const binding = parseBinding(req.body);
+  const descriptors = parseDescriptors(req.body);
+  if (descriptors.name) {
+    return res.status(400).json({ error: 'A service name belongs to a single port — name group members with PATCH /api/ports/:port once reserved' });
+  }
 
-  for (let p = min; p <= max; p++) {
-    if (!registeredPorts.has(p) && !isPortInUseByOS(p, portMap)) {
-      return res.json({ port: p, message: `Port ${p} is available` });
+  let named = null;
+  let blockSize = null;
+  if (ports !== undefined) {
+    if (!ports || typeof ports !== 'object' || Array.isArray(ports) || !Object.keys(ports).length) {
+      return res.status(400).json({ error: 'ports must be an object of name → port (or null)' });
+    }
+    named = Object.entries(ports).map(([name, port]) => [name.trim(), port === null ? null : parseInt(port)]);
+    if (named.some(([name]) => !name)) {
+      return res.status(400).json({ error: 'Port names must be non-empty' });
     }
+    if (named.some(([, port]) => port !== null && (isNaN(port) || port < 1 || port > 65535))) {
+      return res.status(400).json({ error: 'Named ports must be 1–65535 or null' });
+    }
+    const fixed = named.filter(([, p]) => p !== null).map(([, p]) => p);
+    if (new Set(fixed).size !== fixed.length) {
+      return res.status(400).json({ error: 'The same port is listed more than once' });
+    }
+  } else {
+    blockSize = parseInt(count);
+    if (isNaN(blockSize) || blockSize < 1) {
+      return res.status(400).json({ error: 'Provide either count (contiguous block size) or ports (named set)' });
+    }
+  }
+  const size = named ? named.length : blockSize;
+  if (size > MAX_GROUP_SIZE) {
+    return res.status(400).json({ error: `Groups are limited to ${MAX_GROUP_SIZE} ports` });
   }
 
-  res.status(404).json({ error: `No available ports found in range ${min}–${max}` });
+  const groupId = `g-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  const leaseToken = auth.generateLeaseToken();
+
+  const snap = await osSnapshot(req);
+  const members = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    enforcePolicy(data.registrations, agent.trim(), {
+      ports: named ? named.map(([, p]) => p).filter(p => p !== null) : [],
+      count: size,
+      ttlMinutes,
+    });
+    const isFree = freePortChecker(data.registrations, binding, snap.ports);
+
+    let assignments; // [[name, port]]
+    if (named) {
+      const busy = named.filter(([, p]) => p !== null && !isFree(p));
+      if (busy.length) {
+        busy.forEach(([, p]) => recordEvent('conflict', { port: p, ...binding, agent: agent.trim(), reason: reason.trim() }, {
+          heldBy: (data.registrations.find(r => r.port === p && bindingsConflict(r, binding)) || {}).agent || 'OS process',
+        }));
+        throw new HttpError(409, `Port${busy.length > 1 ? 's' : ''} ${busy.map(([, p]) => p).join(', ')} already in use — nothing was reserved`, {
+          conflicts: busy.map(([name, p]) => ({ name, port: p })),
+        });
+      }
+      const taken = new Set(named.map(([, p]) => p).filter(p => p !== null));
+      assignments = named.map(([name, p]) => {
+        if (p !== null) return [name, p];
+        for (let q = range.min; q <= range.max; q++) {
+          if (!taken.has(q) && isFree(q)) { taken.add(q); return [name, q]; }
+        }
+        suggestMisses.inc({ route: 'groups' });
+        throw new HttpError(404, `Not enough free ports in range ${range.min}–${range.max} for "${name}" — nothing was reserved`);
+      });
+    } else {
+      let start = null;
+      for (let p = range.min; p + blockSize - 1 <= range.max && start === null; p++) {
+        let ok = true;
+        for (let q = p; q < p + blockSize; q++) {
+          if (!isFree(q)) { ok = false; p = q; break; } // resume after the busy port
+        }
+        if (ok) start = p;
+      }
+      if (start === null) {
+        suggestMisses.inc({ route: 'groups' });
+        throw new HttpError(404, `No block of ${blockSize} contiguous free ports in range ${range.min}–${range.max}`);
+      }
+      assignments = Array.from({ length: blockSize }, (_, i) => [null, start + i]);
+    }
+
+    const created = assignments.map(([name, port]) => createRegistration(port, agent, reason, ttlMinutes, {
+      leaseToken,
+      ownerPid: pid,
+      binding,
+      groupId,
+      ...(name ? { groupName: name } : {}),
+      ...descriptors,
+    }).registration);
+    data.registrations.push(...created);
+    tx.afterCommit(() => created.forEach(r => recordEvent('register', r, { groupId })));
+    return created;
+  });
+
+  res.status(201).json({
+    success: true,
+    groupId,
+    registrations: members.map(auth.publicRegistration),
+    ports: named ? Object.fromEntries(members.map(r => [r.groupName, r.port])) : members.map(r => r.port),
+    leaseToken,
+  });
+}));
+
+// POST /api/ports/groups/:groupId/heartbeat — refresh TTL for every port in a group
+app.post('/api/ports/groups/:groupId/heartbeat', route(async (req, res) => {
+  const { groupId } = req.params;
+  const { ttlMinutes } = req.body;
+
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+
+  const members = await store.mutate((data, tx) => {
+    const members = data.registrations.filter(r => r.groupId === groupId);
+    if (!members.length) {
+      throw new HttpError(404, `Group ${groupId} has no registered ports`);
+    }
+    const denied = auth.checkLease(req, members[0]);
+    if (denied) {
+      throw new HttpError(denied.status, denied.error);
+    }
+
+    if (ttlMinutes) enforcePolicy([], members[0].agent, { ttlMinutes });
+
+    const now = Date.now();
+    members.forEach(reg => refreshRegistration(reg, ttlMinutes, now));
+    tx.afterCommit(() => members.forEach(reg => recordEvent('heartbeat', reg, { groupId })));
+    return members;
+  });
+
+  res.json({
+    success: true,
+    groupId,
+    ports: members.map(r => r.port),
+    expiresAt: new Date(members[0].expiresAt).toISOString(),
+    releaseRequests: members.flatMap(r => pendingRequests(r).map(q => ({ port: r.port, ...q }))),
+  });
+}));
+
+// DELETE /api/ports/groups/:groupId — release every port in a group (lease or admin token)
+app.delete('/api/ports/groups/:groupId', route(async (req, res) => {
+  const { groupId } = req.params;
+
+  const released = await store.mutate((data, tx) => {
+    const members = data.registrations.filter(r => r.groupId === groupId);
+    if (!members.length) {
+      throw new HttpError(404, `Group ${groupId} has no registered ports`);
+    }
+    const denied = auth.checkLease(req, members[0], { allowAdmin: true });
+    if (denied) {
+      throw new HttpError(denied.status, denied.error);
+    }
+
+    data.registrations = data.registrations.filter(r => r.groupId !== groupId);
+    const by = auth.isAdmin(req) ? 'admin' : 'owner';
+    tx.afterCommit(() => members.forEach(reg => recordEvent('release', reg, { groupId, by })));
+    return members;
+  });
+
+  res.json({ success: true, groupId, released: released.map(auth.publicRegistration) });
+}));
+
+// POST /api/ports/:port/wait — queue for a busy port. It is registered to the
+// first waiter the moment it frees up (release, expiry, owner exit, …) and no
+// process is still listening on it.
+// Body: { agent, reason, ttlMinutes?, proto?, address?, pid?, name?, tags?, labels?,
+//         healthCheck?, timeoutSeconds?, hold? }
+// A service name is checked when the port is granted: still taken then, the wait is rejected.
+//   hold (default true) keeps the request open until the port is granted (201)
+//   or the wait times out (408). hold: false answers 202 { waitId, position }
+//   straight away — long-poll GET /api/waits/:waitId for the outcome.
+// A port that is already free is granted immediately.
+app.post('/api/ports/:port/wait', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { agent, reason, ttlMinutes, pid } = req.body;
+  const timeoutSeconds = req.body.timeoutSeconds !== undefined ? Number(req.body.timeoutSeconds) : WAIT_TIMEOUT_SECONDS;
+
+  if (isNaN(port) || port < 1 || port > 65535) {
+    return res.status(400).json({ error: 'Invalid port number (1–65535)' });
+  }
+  if (!agent || typeof agent !== 'string' || !agent.trim()) {
+    return res.status(400).json({ error: 'Missing required field: agent' });
+  }
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'Missing required field: reason' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (!validPid(pid)) {
+    return res.status(400).json({ error: 'pid must be a positive integer' });
+  }
+  if (!(timeoutSeconds > 0 && timeoutSeconds <= MAX_WAIT_TIMEOUT_SECONDS)) {
+    return res.status(400).json({ error: `timeoutSeconds must be between 1 and ${MAX_WAIT_TIMEOUT_SECONDS}` });
+  }
+  const binding = parseBinding(req.body);
+  const descriptors = parseDescriptors(req.body);
+  const hold = req.body.hold === undefined || flag(req.body.hold);
+
+  // Enqueued inside a mutation so grantWaiters runs right after: a free port
+  // is handed over in this same transaction
+  let waiter = null;
+  try {
+    await store.mutate((data, tx) => {
+      pruneExpired(data, tx);
+      enforcePolicy(data.registrations, agent.trim(), { ports: [port], ttlMinutes });
+      waiter = waitQueue.enqueue({
+        port,
+        binding,
+        agent: agent.trim(),
+        reason: reason.trim(),
+        ttlMinutes,
+        pid,
+        descriptors,
+        hold,
+        timeoutMs: timeoutSeconds * 1000,
+      });
+    });
+  } catch (e) {
+    if (waiter) waitQueue.settle(waiter, 'cancelled');
+    throw e;
+  }
+
+  if (waiter.status !== 'waiting') return sendWaitOutcome(res, waitQueue.collect(waiter));
+  waitEvent(waiter, 'queued', { position: waitQueue.position(waiter) });
+
+  if (!hold) {
+    return res.status(202).json({ status: 'waiting', waitId: waiter.id, ...waitQueue.describe(waiter) });
+  }
+
+  // A held request that goes away takes its place in line with it
+  res.on('close', () => {
+    if (waiter.status === 'waiting') {
+      waitQueue.settle(waiter, 'cancelled');
+      waitEvent(waiter, 'cancelled', { cause: 'client disconnected' });
+    }
+  });
+  await awaitWaiter(waiter, Infinity);
+  if (!res.writableEnded && waiter.status !== 'cancelled') sendWaitOutcome(res, waiter);
+}));
+
+// GET /api/waits/:waitId — long-poll a queued wait (the waitId is its credential)
+// Query: timeout — seconds to hold the request if still waiting (default 25, max 60).
+// Answers 200 { status: 'waiting', position } or the final outcome, which is
+// handed out once: 201 with the registration and leaseToken, 408 expired, 410 cancelled.
+app.get('/api/waits/:waitId', route(async (req, res) => {
+  const waiter = waitQueue.get(req.params.waitId);
+  if (!waiter) {
+    throw new HttpError(404, 'Unknown wait — it was collected, cancelled or abandoned');
+  }
+  const seconds = Math.min(Math.max(parseInt(req.query.timeout) || LONG_POLL_SECONDS, 0), MAX_LONG_POLL_SECONDS);
+
+  await awaitWaiter(waiter, seconds * 1000);
+  if (waiter.status === 'waiting') {
+    return res.json({ status: 'waiting', waitId: waiter.id, ...waitQueue.describe(waiter) });
+  }
+  sendWaitOutcome(res, waitQueue.collect(waiter));
+}));
+
+// DELETE /api/waits/:waitId — leave the queue
+app.delete('/api/waits/:waitId', (req, res) => {
+  const waiter = waitQueue.get(req.params.waitId);
+  if (!waiter || waiter.status !== 'waiting') {
+    return res.status(404).json({ error: 'No such wait in the queue' });
+  }
+  waitQueue.settle(waiter, 'cancelled');
+  waitEvent(waiter, 'cancelled', { cause: 'left the queue' });
+  res.json({ success: true, status: 'cancelled' });
+});
+
+// GET /api/ports/:port/queue — who is waiting for a port, first in line first
+app.get('/api/ports/:port/queue', (req, res) => {
+  const port = parseInt(req.params.port);
+  if (isNaN(port) || port < 1 || port > 65535) {
+    return res.status(400).json({ error: 'Invalid port number (1–65535)' });
+  }
+  const waiting = waitQueue.forPort(port).map(waitQueue.describe);
+  res.json({ port, waiting, count: waiting.length });
+});
+
+// POST /api/ports/:port/heartbeat — refresh TTL (requires the lease token)
+// Extends by the registration's own TTL; body { ttlMinutes } replaces it.
+app.post('/api/ports/:port/heartbeat', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { agent, ttlMinutes } = req.body;
+
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+
+  const reg = await store.mutate((data, tx) => {
+    const reg = findRegistration(data.registrations, port, req);
+
+    if (!reg) {
+      throw new HttpError(404, `Port ${port} is not registered`);
+    }
+    const denied = auth.checkLease(req, reg);
+    if (denied) {
+      throw new HttpError(denied.status, denied.error);
+    }
+    if (agent && reg.agent !== agent) {
+      throw new HttpError(403, 'Agent mismatch — cannot refresh another agent\'s registration');
+    }
+    if (ttlMinutes) enforcePolicy([], reg.agent, { ttlMinutes });
+
+    refreshRegistration(reg, ttlMinutes);
+    tx.afterCommit(() => recordEvent('heartbeat', reg));
+    return reg;
+  });
+
+  res.json({
+    success: true,
+    expiresAt: reg.permanent ? null : new Date(reg.expiresAt).toISOString(),
+    ttlMinutes: reg.ttlMinutes,
+    permanent: !!reg.permanent,
+    releaseRequests: pendingRequests(reg),
+  });
+}));
+
+// PATCH /api/ports/:port — update a registration in place (lease or admin token;
+// a permanent registration needs the admin token)
+// Body (all optional, at least one): { reason, ttlMinutes, extendMinutes,
+// expiresAt, pid, name, tags, labels, metadata, healthCheck } plus proto / address to pick the socket.
+//   ttlMinutes     replace the TTL and restart the expiry from now
+//   extendMinutes  push the current expiry out by this much
+//   expiresAt      set the expiry outright (ISO date or epoch ms, in the future)
+//   pid            bind the registration to another owner process (null unbinds it),
+//                  e.g. a wrapper handing the port to the child that listens on it
+//   name           set the service name the proxy routes by (null removes it)
+//   tags           replace the tag list (null clears it)
+//   labels         merge key/value labels: keys set to null are removed (null clears them all)
+//   metadata       JSON merge patch: keys set to null are removed (null clears it all)
+//   healthCheck    replace the health check (null removes it); see lib/healthcheck.js
+// The port stays registered throughout — no release / register gap.
+app.patch('/api/ports/:port', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { agent, reason, ttlMinutes, extendMinutes, expiresAt, pid, name, tags, labels, metadata, healthCheck } = req.body;
+
+  if (reason !== undefined && (typeof reason !== 'string' || !reason.trim())) {
+    return res.status(400).json({ error: 'reason must be a non-empty string' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (extendMinutes !== undefined && !validMinutes(extendMinutes)) {
+    return res.status(400).json({ error: 'extendMinutes must be a positive number' });
+  }
+  if (!validPid(pid)) {
+    return res.status(400).json({ error: 'pid must be a positive integer (or null)' });
+  }
+  const expiryAt = expiresAt === undefined ? undefined : new Date(typeof expiresAt === 'string' && /^\d+$/.test(expiresAt) ? Number(expiresAt) : expiresAt).getTime();
+  if (expiryAt !== undefined && !(expiryAt > Date.now())) {
+    return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+  }
+  if ([ttlMinutes, extendMinutes, expiresAt].filter(v => v !== undefined).length > 1) {
+    return res.status(400).json({ error: 'Pass only one of ttlMinutes, extendMinutes or expiresAt' });
+  }
+  const newName = name === undefined || name === null ? name : parseServiceName(name);
+  const newTags = tags === undefined || tags === null ? tags : parseTags(tags);
+  const labelPatch = labels === undefined || labels === null ? labels : parseLabels(labels, { allowNull: true });
+  const newHealthCheck = healthCheck === undefined || healthCheck === null ? healthCheck : parseHealthCheck(healthCheck);
+  if ([reason, ttlMinutes, extendMinutes, expiresAt, pid, name, tags, labels, metadata, healthCheck].every(v => v === undefined)) {
+    return res.status(400).json({ error: 'Nothing to update — send reason, ttlMinutes, extendMinutes, expiresAt, pid, name, tags, labels, metadata or healthCheck' });
+  }
+
+  const { reg, changes } = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    const reg = findRegistration(data.registrations, port, req);
+    if (!reg) {
+      throw new HttpError(404, `Port ${port} is not registered`);
+    }
+    requireHolder(req, reg);
+    requireAdminIfPermanent(req, reg, 'updating');
+    if (agent && reg.agent !== agent) {
+      throw new HttpError(403, 'Agent mismatch — cannot update another agent\'s registration');
+    }
+
+    const changes = [];
+    if (ttlMinutes !== undefined || extendMinutes !== undefined || expiryAt !== undefined) {
+      if (reg.permanent) {
+        throw new HttpError(400, `Port ${port} is a permanent registration — it has no expiry to change`);
+      }
+      const now = Date.now();
+      const until = ttlMinutes !== undefined ? now + Number(ttlMinutes) * 60 * 1000
+        : extendMinutes !== undefined ? Math.max(reg.expiresAt, now) + Number(extendMinutes) * 60 * 1000
+          : expiryAt;
+      enforcePolicy([], reg.agent, { ttlMinutes: Math.ceil((until - now) / 60000) });
+      if (ttlMinutes !== undefined) {
+        reg.ttlMinutes = Number(ttlMinutes);
+        changes.push('ttlMinutes');
+      }
+      reg.expiresAt = until;
+      changes.push('expiresAt');
+    }
+    if (reason !== undefined && reason.trim() !== reg.reason) {
+      reg.reason = reason.trim();
+      changes.push('reason');
+    }
+    if (pid !== undefined && (pid === null ? undefined : parseInt(pid)) !== reg.ownerPid) {
+      if (pid === null) delete reg.ownerPid;
+      else reg.ownerPid = parseInt(pid);
+      changes.push('ownerPid');
+    }
+    if (name !== undefined && (newName || undefined) !== reg.name) {
+      if (newName) reg.name = newName;
+      else delete reg.name;
+      changes.push('name');
+    }
+    // Tags, labels, metadata and the health check only count as changed when
+    // the new value differs, so re-saving an unchanged form records nothing
+    if (tags !== undefined && !isDeepStrictEqual(newTags || [], reg.tags || [])) {
+      if (newTags && newTags.length) reg.tags = newTags;
+      else delete reg.tags;
+      changes.push('tags');
+    }
+    if (labels !== undefined) {
+      const merged = { ...(labelPatch === null ? {} : reg.labels) };
+      for (const [key, value] of Object.entries(labelPatch || {})) {
+        if (value === null) delete merged[key];
+        else merged[key] = value;
+      }
+      checkLabelCount(merged);
+      if (!isDeepStrictEqual(merged, reg.labels || {})) {
+        if (Object.keys(merged).length) reg.labels = merged;
+        else delete reg.labels;
+        changes.push('labels');
+      }
+    }
+    if (metadata !== undefined) {
+      const merged = metadata === null ? {} : mergeMetadata(reg.metadata, metadata);
+      if (!isDeepStrictEqual(merged, reg.metadata || {})) {
+        if (Object.keys(merged).length) reg.metadata = merged;
+        else delete reg.metadata;
+        changes.push('metadata');
+      }
+    }
+    if (healthCheck !== undefined && !isDeepStrictEqual(newHealthCheck || null, reg.healthCheck || null)) {
+      if (newHealthCheck) {
+        checkHealthProto(newHealthCheck, reg.proto);
+        reg.healthCheck = newHealthCheck;
+      } else {
+        delete reg.healthCheck;
+      }
+      changes.push('healthCheck');
+    }
+    if (changes.length) {
+      reg.updatedAt = new Date().toISOString();
+      tx.afterCommit(() => recordEvent('update', reg, { changes, by: auth.isAdmin(req) ? 'admin' : 'owner' }));
+    }
+    return { reg, changes };
+  });
+
+  res.json({ success: true, changes, registration: auth.publicRegistration(reg) });
+}));
+
+// ─── Transfers & Release Requests ──────────────────────────────────────────────
+
+// Hands `reg` to another agent in place — same id and socket, so the port is
+// never unregistered in between. The new owner's lease token hash replaces the
+// old one and the TTL restarts; the old owner's PID binding and group
+// membership don't carry over. Returns the previous agent.
+function transferRegistration(reg, { agent, reason, leaseTokenHash, ownerPid, ttlMinutes }) {
+  const from = reg.agent;
+  reg.agent = agent;
+  if (reason) reg.reason = reason;
+  reg.leaseTokenHash = leaseTokenHash;
+  delete reg.ownerPid;
+  if (ownerPid) reg.ownerPid = parseInt(ownerPid);
+  delete reg.groupId;
+  delete reg.groupName;
+  reg.transferredFrom = from;
+  reg.transferredAt = new Date().toISOString();
+  refreshRegistration(reg, ttlMinutes);
+  return from;
+}
+
+// The registration on `port` that carries release request `id`
+function findReleaseRequest(registrations, port, id) {
+  for (const reg of registrations) {
+    if (reg.port !== port || !reg.releaseRequests) continue;
+    const request = reg.releaseRequests.find(q => q.id === id);
+    if (request) return { reg, request };
+  }
+  throw new HttpError(404, `No release request ${id} on port ${port} — it was answered long ago, or the port was released`);
+}
+
+function pendingRequests(reg) {
+  return (reg.releaseRequests || []).filter(q => q.status === 'pending').map(auth.publicReleaseRequest);
+}
+
+function pruneAnsweredRequests(data, now) {
+  for (const reg of data.registrations) {
+    if (!reg.releaseRequests) continue;
+    reg.releaseRequests = reg.releaseRequests.filter(q =>
+      q.status === 'pending' || now - Date.parse(q.answeredAt) < ANSWERED_REQUEST_KEEP_MS);
+    if (!reg.releaseRequests.length) delete reg.releaseRequests;
+  }
+}
+
+// History entries name the requester as `agent` and the holder as `heldBy`
+function requestEvent(reg, request, status, extra = {}) {
+  return logEvent({
+    type: 'release-request',
+    port: reg.port,
+    ...bindingFields(reg),
+    agent: request.agent,
+    heldBy: reg.agent,
+    requestId: request.id,
+    status,
+    ...(request.message ? { message: request.message } : {}),
+    ...extra,
+  });
+}
+
+// POST /api/ports/:port/transfer — hand a live registration to another agent
+// Requires the holder's lease token (or the admin token; only the admin token
+// for a permanent registration).
+// Body: { toAgent, reason?, ttlMinutes?, pid?, proto?, address? }
+// Answers with a new lease token for the new owner; the old one stops working.
+app.post('/api/ports/:port/transfer', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { toAgent, reason, ttlMinutes, pid } = req.body;
+
+  if (!toAgent || typeof toAgent !== 'string' || !toAgent.trim()) {
+    return res.status(400).json({ error: 'Missing required field: toAgent' });
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || !reason.trim())) {
+    return res.status(400).json({ error: 'reason must be a non-empty string' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (!validPid(pid)) {
+    return res.status(400).json({ error: 'pid must be a positive integer' });
+  }
+
+  const leaseToken = auth.generateLeaseToken();
+  const { reg, from } = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    const reg = findRegistration(data.registrations, port, req);
+    if (!reg) {
+      throw new HttpError(404, `Port ${port} is not registered`);
+    }
+    requireAdminIfPermanent(req, reg, 'transferring');
+    requireHolder(req, reg);
+    if (reg.agent === toAgent.trim()) {
+      throw new HttpError(400, `Port ${port} is already registered to "${reg.agent}"`);
+    }
+    if (!reg.permanent) enforcePolicy(data.registrations.filter(r => r !== reg), toAgent.trim(), { count: 1, ttlMinutes });
+
+    const from = transferRegistration(reg, {
+      agent: toAgent.trim(),
+      reason: reason && reason.trim(),
+      leaseTokenHash: auth.hashToken(leaseToken),
+      ownerPid: pid,
+      ttlMinutes,
+    });
+    tx.afterCommit(() => recordEvent('transfer', reg, { from, by: auth.isAdmin(req) ? 'admin' : 'owner' }));
+    return { reg, from };
+  });
+
+  res.json({ success: true, from, registration: auth.publicRegistration(reg), leaseToken });
+}));
+
+// POST /api/ports/:port/release-request — ask the holder of a port to give it up
+// Body: { agent, reason, message?, ttlMinutes?, proto?, address? }
+// The holder sees pending requests in its heartbeat responses and accepts
+// (the port is transferred to the requester) or declines. The leaseToken in
+// the answer becomes the requester's lease if the request is accepted; poll
+// GET /api/ports/:port/release-requests/:requestId (or watch
+// 'release-request' events) for the decision.
+app.post('/api/ports/:port/release-request', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { agent, reason, message, ttlMinutes } = req.body;
+
+  if (!agent || typeof agent !== 'string' || !agent.trim()) {
+    return res.status(400).json({ error: 'Missing required field: agent' });
+  }
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'Missing required field: reason' });
+  }
+  if (message !== undefined && typeof message !== 'string') {
+    return res.status(400).json({ error: 'message must be a string' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+
+  const leaseToken = auth.generateLeaseToken();
+  const { reg, request } = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    const reg = findRegistration(data.registrations, port, req);
+    if (!reg) {
+      throw new HttpError(404, `Port ${port} is not registered — register it instead`);
+    }
+    if (reg.agent === agent.trim()) {
+      throw new HttpError(400, `"${reg.agent}" already holds port ${port}`);
+    }
+    const pending = (reg.releaseRequests || []).filter(q => q.status === 'pending');
+    const existing = pending.find(q => q.agent === agent.trim());
+    if (existing) {
+      throw new HttpError(409, `"${existing.agent}" already has a pending release request for port ${port}`, {
+        request: auth.publicReleaseRequest(existing),
+      });
+    }
+    if (pending.length >= MAX_RELEASE_REQUESTS) {
+      throw new HttpError(409, `Port ${port} already has ${pending.length} pending release requests`);
+    }
+    enforcePolicy(data.registrations, agent.trim(), { count: 1, ttlMinutes });
+
+    const request = {
+      id: `rr-${crypto.randomBytes(6).toString('hex')}`,
+      agent: agent.trim(),
+      reason: reason.trim(),
+      ...(message && message.trim() ? { message: message.trim() } : {}),
+      ...(ttlMinutes ? { ttlMinutes: Number(ttlMinutes) } : {}),
+      requestedAt: new Date().toISOString(),
+      status: 'pending',
+      tokenHash: auth.hashToken(leaseToken),
+    };
+    reg.releaseRequests = [...(reg.releaseRequests || []), request];
+    tx.afterCommit(() => requestEvent(reg, request, 'requested'));
+    return { reg, request };
+  });
+
+  res.status(201).json({
+    success: true,
+    request: { port, ...auth.publicReleaseRequest(request) },
+    heldBy: reg.agent,
+    leaseToken,
+  });
+}));
+
+// GET /api/ports/:port/release-requests — requests on a port, newest last
+app.get('/api/ports/:port/release-requests', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const registrations = (await activeRegistrations()).filter(r => r.port === port);
+  const requests = registrations.flatMap(r =>
+    (r.releaseRequests || []).map(q => ({ ...auth.publicReleaseRequest(q), heldBy: r.agent, registration: r.id })));
+  res.json({ port, requests, pending: requests.filter(q => q.status === 'pending').length });
+}));
+
+// GET /api/ports/:port/release-requests/:requestId — a request and its answer
+app.get('/api/ports/:port/release-requests/:requestId', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { reg, request } = findReleaseRequest(await activeRegistrations(), port, req.params.requestId);
+  res.json({ port, ...auth.publicReleaseRequest(request), heldBy: reg.agent, registration: reg.id });
+}));
+
+// POST /api/ports/:port/release-requests/:requestId/accept — hand the port to the requester
+// Requires the holder's lease token (or the admin token; only the admin token
+// for a permanent registration). The requester's
+// lease token (from its release-request answer) becomes the port's lease.
+app.post('/api/ports/:port/release-requests/:requestId/accept', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+
+  const { reg, request } = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    const { reg, request } = findReleaseRequest(data.registrations, port, req.params.requestId);
+    requireAdminIfPermanent(req, reg, 'handing over');
+    requireHolder(req, reg);
+    if (request.status !== 'pending') {
+      throw new HttpError(409, `Release request ${request.id} was already ${request.status}`);
+    }
+    if (!reg.permanent) enforcePolicy(data.registrations.filter(r => r !== reg), request.agent, { count: 1, ttlMinutes: request.ttlMinutes });
+
+    const heldBy = reg.agent;
+    request.status = 'accepted';
+    request.answeredAt = new Date().toISOString();
+    const from = transferRegistration(reg, {
+      agent: request.agent,
+      reason: request.reason,
+      leaseTokenHash: request.tokenHash,
+      ttlMinutes: request.ttlMinutes,
+    });
+    tx.afterCommit(() => {
+      requestEvent({ ...reg, agent: heldBy }, request, 'accepted');
+      recordEvent('transfer', reg, { from, by: auth.isAdmin(req) ? 'admin' : 'owner', via: 'release-request' });
+    });
+    return { reg, request };
+  });
+
+  res.json({ success: true, request: auth.publicReleaseRequest(request), registration: auth.publicRegistration(reg) });
+}));
+
+// POST /api/ports/:port/release-requests/:requestId/decline — keep the port
+// Requires the holder's lease token (or the admin token). Body: { message? }
+app.post('/api/ports/:port/release-requests/:requestId/decline', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { message } = req.body;
+
+  if (message !== undefined && typeof message !== 'string') {
+    return res.status(400).json({ error: 'message must be a string' });
+  }
+
+  const request = await store.mutate((data, tx) => {
+    const { reg, request } = findReleaseRequest(data.registrations, port, req.params.requestId);
+    requireHolder(req, reg);
+    if (request.status !== 'pending') {
+      throw new HttpError(409, `Release request ${request.id} was already ${request.status}`);
+    }
+    request.status = 'declined';
+    request.answeredAt = new Date().toISOString();
+    if (message && message.trim()) request.answer = message.trim();
+    tx.afterCommit(() => requestEvent(reg, request, 'declined', request.answer ? { answer: request.answer } : {}));
+    return request;
+  });
+
+  res.json({ success: true, request: auth.publicReleaseRequest(request) });
+}));
+
+// DELETE /api/ports/:port — release a port (requires the lease token, or the admin token)
+app.delete('/api/ports/:port', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { agent } = req.body;
+
+  const reg = await store.mutate((data, tx) => {
+    const reg = findRegistration(data.registrations, port, req);
+
+    if (!reg) {
+      throw new HttpError(404, `Port ${port} is not registered`);
+    }
+
+    requireAdminIfPermanent(req, reg, 'releasing');
+    const denied = auth.checkLease(req, reg, { allowAdmin: true });
+    if (denied) {
+      throw new HttpError(denied.status, denied.error);
+    }
+    if (agent && reg.agent !== agent) {
+      throw new HttpError(403, 'Agent mismatch — cannot release another agent\'s port');
+    }
+
+    data.registrations = data.registrations.filter(r => r !== reg);
+    tx.afterCommit(() => recordEvent('release', reg, { by: auth.isAdmin(req) ? 'admin' : 'owner' }));
+    return reg;
+  });
+
+  res.json({ success: true, released: auth.publicRegistration(reg) });
+}));
+
+// DELETE /api/ports — force-clear all (requires the admin token)
+// Permanent registrations survive unless ?permanent=1 is given.
+app.delete('/api/ports', auth.requireAdmin, route(async (req, res) => {
+  const includePermanent = req.query.permanent === '1' || req.query.permanent === 'true';
+  const cleared = await store.mutate((data, tx) => {
+    const cleared = data.registrations.filter(r => includePermanent || !r.permanent);
+    data.registrations = data.registrations.filter(r => !cleared.includes(r));
+    tx.afterCommit(() => logEvent({ type: 'force-clear', count: cleared.length, ports: cleared.map(r => r.port) }));
+    return cleared;
+  });
+  res.json({
+    success: true,
+    message: includePermanent ? 'All registrations cleared' : 'All non-permanent registrations cleared',
+    count: cleared.length,
+  });
+}));
+
+// GET /api/reconcile — registrations that aren't listening (stale once past
+// their grace period) and OS sockets no registration covers (adoptable)
+app.get('/api/reconcile', route(async (req, res) => {
+  const registrations = await activeRegistrations();
+  const snap = await osSnapshot(req);
+
+  const stale = registrations
+    .map(r => ({ ...auth.publicRegistration(r), stale: staleStatus(r) }))
+    .filter(r => r.stale);
+
+  const unregistered = [];
+  for (const [port, info] of [...(snap.ports || new Map())].sort((a, b) => a[0] - b[0])) {
+    for (const b of info.bindings) {
+      if (!registrations.some(r => r.port === port && bindingsConflict(r, b))) unregistered.push({ port, ...b });
+    }
+  }
+
+  res.json({ stale, unregistered, osScan: scanInfo(snap) });
+}));
+
+// POST /api/reconcile/release — release stale registrations now (admin token)
+// Body: { ids?: [registration id] } — defaults to every flagged one. Only
+// registrations past their grace period are released; permanent ones never are.
+app.post('/api/reconcile/release', auth.requireAdmin, route(async (req, res) => {
+  const { ids } = req.body;
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({ error: 'ids must be an array of registration ids' });
+  }
+
+  const flagged = (await activeRegistrations())
+    .filter(r => !r.permanent && (staleStatus(r) || {}).flagged)
+    .filter(r => !ids || ids.includes(r.id));
+  const released = flagged.length ? await releaseStale(flagged.map(r => r.id), 'admin') : [];
+
+  res.json({ success: true, released: released.map(auth.publicRegistration), count: released.length });
+}));
+
+// POST /api/ports/:port/adopt — turn an unregistered OS listener into a registration
+// Body: { agent, reason?, ttlMinutes?, proto?, address?, permanent?, name?, tags?, labels?, healthCheck? } — proto /
+// address pick the socket when the port is bound more than once. The reason
+// defaults to the detected process, and the registration is bound to its PID
+// (when known) so it is released once that process exits. Permanent adoption
+// (shared infrastructure) needs the admin token and bypasses the policy.
+app.post('/api/ports/:port/adopt', route(async (req, res) => {
+  const port = parseInt(req.params.port);
+  const { agent, reason, ttlMinutes, permanent } = req.body;
+
+  if (isNaN(port) || port < 1 || port > 65535) {
+    return res.status(400).json({ error: 'Invalid port number (1–65535)' });
+  }
+  if (!agent || typeof agent !== 'string' || !agent.trim()) {
+    return res.status(400).json({ error: 'Missing required field: agent' });
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || !reason.trim())) {
+    return res.status(400).json({ error: 'reason must be a non-empty string' });
+  }
+  if (!validTtl(ttlMinutes)) {
+    return res.status(400).json({ error: 'ttlMinutes must be a positive number' });
+  }
+  if (permanent && !auth.isAdmin(req)) {
+    return res.status(auth.hasAdminCredential(req) ? 403 : 401).json({
+      error: 'Permanent registrations require the admin token (X-Admin-Token header)',
+    });
+  }
+  const wanted = {
+    proto: req.body.proto !== undefined ? parseBinding({ proto: req.body.proto }).proto : null,
+    address: req.body.address !== undefined ? parseBinding({ address: req.body.address }).address : undefined,
+  };
+  const descriptors = parseDescriptors(req.body);
+
+  // Adoption acts on what is bound right now, not on the last background scan
+  const snap = await osScanner.refresh();
+  const info = snap.ports ? snap.ports.get(port) : null;
+  const sockets = (info ? info.bindings : []).filter(b =>
+    (!wanted.proto || b.proto.toLowerCase() === wanted.proto) &&
+    (wanted.address === undefined || b.address === wanted.address));
+  if (!sockets.length) {
+    throw new HttpError(404, `Nothing is listening on port ${formatBinding(port, wanted)} — nothing to adopt`);
+  }
+
+  const { registration, leaseToken } = await store.mutate((data, tx) => {
+    pruneExpired(data, tx);
+    const free = sockets.filter(b => !data.registrations.some(r => r.port === port && bindingsConflict(r, b)));
+    if (!free.length) {
+      const holder = data.registrations.find(r => r.port === port && bindingsConflict(r, sockets[0]));
+      throw new HttpError(409, `Port ${formatBinding(port, holder)} is already registered`, {
+        registeredBy: auth.publicRegistration(holder),
+      });
+    }
+    const socket = free[0];
+    if (!permanent) enforcePolicy(data.registrations, agent.trim(), { ports: [port], ttlMinutes });
+
+    const detected = `${socket.process || 'unknown process'}${socket.pid ? ` (PID ${socket.pid})` : ''}`;
+    const created = createRegistration(port, agent, reason || `Adopted ${detected}`, ttlMinutes, {
+      permanent: !!permanent,
+      ownerPid: permanent ? undefined : socket.pid || undefined,
+      binding: parseBinding(socket),
+      adoptedFrom: { pid: socket.pid, process: socket.process },
+      ...descriptors,
+    });
+    data.registrations.push(created.registration);
+    tx.afterCommit(() => recordEvent('register', created.registration, { via: 'adopt' }));
+    return created;
+  });
+
+  res.status(201).json({ success: true, registration: auth.publicRegistration(registration), leaseToken });
+}));
+
+// GET /api/suggest — suggest an available port in a range or pool
+// Query: pool, or range=MIN-MAX, or min/max (defaults to the policy's defaultRange),
+// and proto / address for the socket the port is wanted for. probe=1 only
+// suggests a port that could actually be bound just now.
+app.get('/api/suggest', route(async (req, res) => {
+  const { min, max, pool } = resolveRange(req.query);
+  const binding = parseBinding(req.query);
+  const registrations = await activeRegistrations();
+
+  // One OS snapshot for the whole range scan
+  const snap = await osSnapshot(req);
+  const isFree = freePortChecker(registrations, binding, snap.ports);
+  const picked = await pickPort(isFree, { min, max }, { binding, probe: probeWanted(req.query.probe) });
+
+  if (picked) {
+    return res.json({
+      port: picked.port,
+      ...binding,
+      ...(pool ? { pool } : {}),
+      decidedBy: picked.decidedBy,
+      osScan: scanInfo(snap),
+      message: `Port ${formatBinding(picked.port, binding)} is available`,
+    });
+  }
+
+  suggestMisses.inc({ route: 'suggest' });
+  res.status(404).json({ error: `No available ports found in ${pool ? `pool "${pool}" (${min}–${max})` : `range ${min}–${max}`}` });
+}));
+
+// GET /api/services — the proxy's route table: every named service and where it goes
+app.get('/api/services', (req, res) => {
+  const { ports } = osScanner.snapshot();
+  res.json({
+    proxyPort: config.proxyPort,
+    services: serviceRoutes().map(r => ({
+      name: r.name,
+      port: r.port,
+      ...bindingFields(r),
+      agent: r.agent,
+      reason: r.reason,
+      osInUse: ports ? conflictingSockets(r.port, ports, r).length > 0 : null,
+      ...serviceUrls(r.name),
+    })),
+  });
+});
+
+// GET /api/policy — pools, reserved ports and per-agent limits in effect
+app.get('/api/policy', (req, res) => {
+  res.json(policy.toJSON());
+});
+
+// GET /api/events — Server-Sent Events stream
+// Events: every history event type (same payload as /api/history entries),
+// os-ports ({ appeared, disappeared }) and health (a registration's health
+// check changed status: port, id, agent and the new result).
+app.get('/api/events', (req, res) => {
+  liveEvents.subscribe(req, res);
+});
+
+// GET /api/history — server-side event log, newest first
+// Query: port, agent, type (comma-separated), since (ISO or epoch ms), limit, offset
+app.get('/api/history', (req, res) => {
+  const { agent, type, since } = req.query;
+  const port = req.query.port !== undefined ? parseInt(req.query.port) : undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (port !== undefined && (isNaN(port) || port < 1 || port > 65535)) {
+    return res.status(400).json({ error: 'Invalid port number (1–65535)' });
+  }
+  const unknown = type ? String(type).split(',').filter(t => !EVENT_TYPES.includes(t)) : [];
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown event type: ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})` });
+  }
+  if (since !== undefined && isNaN(Number(since)) && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'Invalid since — use an ISO date or epoch milliseconds' });
+  }
+
+  const { events, hasMore } = history.query({ port, agent, type, since, limit, offset });
+  res.json({ events, hasMore, limit, offset });
+});
+
+// GET /config.js — the settings the dashboard needs, loaded before app.js so
+// it calls the API of the instance that served it
+app.get('/config.js', (req, res) => {
+  const settings = {
+    apiBase: `${config.publicUrl || ''}/api`,
+    defaultTtlMinutes: config.defaultTtlMinutes,
+    proxyPort: config.proxyPort,
+  };
+  res.type('application/javascript').send(`window.PORT_REGISTER_CONFIG = ${JSON.stringify(settings)};\n`);
+});
+
+// GET /metrics — Prometheus text exposition format
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// GET /healthz — service health for monitors and load balancers
+// status: ok; degraded when OS scans are failing or overdue (the registry
+// still works, its OS answers are just old); unhealthy (503) when the
+// registry file can't be written.
+app.get('/healthz', (req, res) => {
+  const storage = store.health();
+  const snap = osScanner.snapshot();
+  const overdue = !snap.scannedAt || snap.ageMs > osScanner.intervalMs * OS_SCAN_OVERDUE_INTERVALS;
+  const scanHealthy = !overdue && !snap.error;
+  const status = !storage.writable ? 'unhealthy' : scanHealthy ? 'ok' : 'degraded';
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    uptimeSeconds: Math.round((Date.now() - STARTED_AT) / 1000),
+    startedAt: new Date(STARTED_AT).toISOString(),
+    storage: { file: store.file, ...storage },
+    osScan: { healthy: scanHealthy, ...scanInfo(snap), durationMs: snap.durationMs, intervalMs: osScanner.intervalMs },
+  });
 });
 
 // ─── Start Server ──────────────────────────────────────────────────────────────
 
-app.listen(PORT, () => {
+try {
+  policy = loadPolicy(POLICY_FILE, { defaultRange: config.suggestRange, maxTtlMinutes: config.maxTtlMinutes, selfPort: PORT });
+  store.load();
+} catch (e) {
+  console.error(`\n  ✕ ${e.message}\n`);
+  process.exit(1);
+}
+
+osScanner.start();
+
+// The server holds its own ports (TCP, all interfaces) as permanent
+// registrations, replacing whatever TCP entry (if any) was there before.
+// Self-registrations on ports this run doesn't use — left over from a run with
+// a different --port or --proxy-port, or migrated from the old fixed 4444
+// entry — are released along the way.
+function registerSelf(port, reason) {
+  const ownPorts = [PORT, config.proxyPort].filter(Boolean);
+  const isSelfPort = r => r.port === port && r.proto === 'tcp';
+  const isStale = r => r.agent === SELF_AGENT && r.permanent && !ownPorts.includes(r.port);
+  return store.mutate((data, tx) => {
+    const stale = data.registrations.filter(isStale);
+    const existing = data.registrations.find(isSelfPort);
+    const current = !!existing && existing.permanent && existing.agent === SELF_AGENT;
+    if (current && !stale.length) return;
+    data.registrations = data.registrations.filter(r => !isStale(r) && (current || !isSelfPort(r)));
+    tx.afterCommit(() => stale.forEach(r => recordEvent('release', r, { by: 'system', cause: 'Port Register no longer runs on this port' })));
+    if (current) return;
+    const { registration } = createRegistration(port, SELF_AGENT, reason, null, { permanent: true });
+    data.registrations.push(registration);
+    tx.afterCommit(() => recordEvent('register', registration));
+  });
+}
+
+// Releases process-bound registrations whose owner PID has exited. Permanent
+// registrations are left alone: only an admin releases those.
+function releaseDeadOwners() {
+  const isDead = r => r.ownerPid && !r.permanent && !isProcessAlive(r.ownerPid);
+  if (!store.read().registrations.some(isDead)) return Promise.resolve();
+  return store.mutate((data, tx) => {
+    const dead = data.registrations.filter(isDead);
+    data.registrations = data.registrations.filter(r => !dead.includes(r));
+    tx.afterCommit(() => dead.forEach(r => recordEvent('release', r, {
+      by: 'system',
+      cause: 'owner process exited',
+      ownerPid: r.ownerPid,
+    })));
+  });
+}
+
+setInterval(() => {
+  releaseDeadOwners().catch(e => console.error('Owner process check failed:', e.message));
+}, OWNER_CHECK_MS).unref();
+
+setInterval(() => {
+  store.mutate(pruneExpired).catch(e => console.error('Expiry sweep failed:', e.message));
+}, EXPIRY_SWEEP_MS).unref();
+
+setInterval(runHealthChecks, HEALTH_TICK_MS).unref();
+
+// Swept inside a mutation for the same reason as awaitWaiter's expiry
+setInterval(() => {
+  store.mutate(() => {
+    waitQueue.sweep().forEach(w => waitEvent(w, w.status, w.result ? { cause: w.result.reason } : {}));
+  }).catch(e => console.error('Wait sweep failed:', e.message));
+}, WAIT_SWEEP_MS).unref();
+
+const server = app.listen(PORT, config.host || undefined, () => {
+  registerSelf(PORT, SELF_REASON).catch(e => console.error('Self-registration failed:', e.message));
+  const base = config.publicUrl ||
+    `http://${!config.host || ['0.0.0.0', '::'].includes(config.host) ? 'localhost' : config.host}:${PORT}`;
   console.log(`\n╔════════════════════════════════════════╗`);
-  console.log(`║   Port Register — running on :${PORT}   ║`);
+  console.log(`║${`   Port Register — running on :${PORT}`.padEnd(40)}║`);
   console.log(`╚════════════════════════════════════════╝`);
-  console.log(`\n  Web UI:  http://localhost:${PORT}`);
-  console.log(`  API:     http://localhost:${PORT}/api/ports\n`);
+  console.log(`\n  Web UI:  ${base}`);
+  console.log(`  API:     ${base}/api/ports`);
+  console.log(`  Health:  ${base}/healthz  (metrics at /metrics)`);
+  console.log(`  Proxy:   ${config.proxyPort ? `http://<name>.localhost:${config.proxyPort}/` : 'off'}\n`);
+  console.log(`  Configuration${config.file ? ` (${config.file})` : ''}:`);
+  describeConfig(config).forEach(line => console.log(`    ${line}`));
+  console.log('');
+  if (auth.ADMIN_TOKEN_GENERATED) {
+    console.log(`  Admin token (this run only — set PORT_REGISTER_ADMIN_TOKEN to pin it):`);
+    console.log(`    ${auth.ADMIN_TOKEN}\n`);
+  }
+});
+
+server.on('error', e => {
+  console.error(`\n  ✕ Could not listen on ${config.host || '*'}:${PORT} — ${e.message}\n`);
+  process.exit(1);
 });
+
+// Nothing on this server upgrades — WebSockets to named services go through
+// the proxy port
+server.on('upgrade', (req, socket) => socket.destroy());
+
+// The service proxy is a convenience: if its port is taken the registry keeps
+// running without it
+if (config.proxyPort) {
+  const proxyServer = http.createServer(serviceProxy.handleHostRequest);
+  proxyServer.on('upgrade', serviceProxy.handleHostUpgrade);
+  proxyServer.on('error', e => {
+    console.error(`  ✕ Service proxy could not listen on ${config.host || '*'}:${config.proxyPort} — ${e.message}`);
+  });
+  proxyServer.listen(config.proxyPort, config.host || undefined, () => {
+    registerSelf(config.proxyPort, SELF_PROXY_REASON).catch(e => console.error('Proxy self-registration failed:', e.message));
+  });
+}
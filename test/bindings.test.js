@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeAddress, parseBinding, bindingsConflict, formatBinding } = require('../lib/bindings');
+
+// ─── Socket Bindings ───────────────────────────────────────────────────────────
+
+test('bindings', async t => {
+  await t.test('TCP and UDP never conflict', () => {
+    for (const address of [null, '0.0.0.0', '::', '127.0.0.1']) {
+      assert.strictEqual(bindingsConflict({ proto: 'tcp', address }, { proto: 'udp', address }), false, String(address));
+    }
+  });
+
+  await t.test('the conflict matrix on one proto', () => {
+    // [a, b, conflict] — checked both ways round
+    const cases = [
+      [null, null, true],
+      [null, '0.0.0.0', true],
+      [null, '::', true],
+      [null, '127.0.0.1', true],
+      [null, '::1', true],
+      ['0.0.0.0', '0.0.0.0', true],
+      ['0.0.0.0', '::', true],
+      ['0.0.0.0', '127.0.0.1', true],
+      ['0.0.0.0', '::1', false],
+      ['::', '::', true],
+      ['::', '127.0.0.1', true],
+      ['::', '::1', true],
+      ['127.0.0.1', '127.0.0.1', true],
+      ['127.0.0.1', '127.0.0.2', false],
+      ['127.0.0.1', '::1', false],
+      ['::1', '::1', true],
+    ];
+    for (const proto of ['tcp', 'udp']) {
+      for (const [a, b, conflict] of cases) {
+        assert.strictEqual(bindingsConflict({ proto, address: a }, { proto, address: b }), conflict, `${proto} ${a} / ${b}`);
+        assert.strictEqual(bindingsConflict({ proto, address: b }, { proto, address: a }), conflict, `${proto} ${b} / ${a}`);
+      }
+    }
+  });
+
+  await t.test('bindings without a proto are TCP, and addresses compare in canonical form', () => {
+    assert.strictEqual(bindingsConflict({ address: null }, { proto: 'TCP', address: null }), true);
+    assert.strictEqual(bindingsConflict({ address: null }, { proto: 'udp', address: null }), false);
+    assert.strictEqual(bindingsConflict({ address: '::ffff:127.0.0.1' }, { address: '127.0.0.1' }), true);
+    assert.strictEqual(bindingsConflict({ address: '[0:0:0:0:0:0:0:1]' }, { address: '::1' }), true);
+    assert.strictEqual(bindingsConflict({ address: 'localhost' }, { address: '127.0.0.1' }), true);
+  });
+
+  await t.test('addresses normalize to one spelling', () => {
+    assert.strictEqual(normalizeAddress(undefined), null);
+    assert.strictEqual(normalizeAddress('*'), null);
+    assert.strictEqual(normalizeAddress('::FFFF:10.0.0.1'), '10.0.0.1');
+    assert.strictEqual(normalizeAddress('fe80:0:0:0:0:0:0:1%eth0'), 'fe80::1');
+    assert.strictEqual(normalizeAddress('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1');
+    assert.strictEqual(normalizeAddress('not-an-ip'), undefined);
+  });
+
+  await t.test('request bindings default to TCP on all interfaces and reject bad input', () => {
+    assert.deepStrictEqual(parseBinding({}), { proto: 'tcp', address: null });
+    assert.deepStrictEqual(parseBinding({ proto: 'UDP', address: '127.0.0.1' }), { proto: 'udp', address: '127.0.0.1' });
+    for (const source of [{ proto: 'sctp' }, { address: 'example.com' }, { address: '192.0.2.1' }]) {
+      assert.throws(() => parseBinding(source), e => e.status === 400, JSON.stringify(source));
+    }
+  });
+
+  await t.test('bindings format as they would be written on a command line', () => {
+    assert.strictEqual(formatBinding(3000), '3000');
+    assert.strictEqual(formatBinding(5353, { proto: 'udp', address: null }), '5353/udp');
+    assert.strictEqual(formatBinding(3000, { proto: 'tcp', address: '127.0.0.1' }), '127.0.0.1:3000');
+    assert.strictEqual(formatBinding(5353, { proto: 'udp', address: '::1' }), '[::1]:5353/udp');
+  });
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, freePort } = require('./helpers');
+
+// ─── Claim ─────────────────────────────────────────────────────────────────────
+
+test('claim', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const claim = body => server.request('POST', '/api/ports/claim', { body: { agent: 'claimer', reason: 'Dev server', ...body } });
+
+  await t.test('concurrent probed claims get different ports', async () => {
+    const first = await freePort();
+    const range = `${first}-${first + 5}`;
+    const results = await Promise.all(Array.from({ length: 3 }, () => claim({ range, probe: true })));
+    for (const { status } of results) assert.strictEqual(status, 201);
+    const ports = results.map(r => r.body.registration.port);
+    assert.strictEqual(new Set(ports).size, ports.length, `ports: ${ports.join(', ')}`);
+    assert.ok(results.every(r => r.body.decidedBy === 'bind-probe'));
+  });
+
+  await t.test('a probed claim skips registered ports and reports an exhausted range', async () => {
+    const port = await freePort();
+    const taken = await server.request('POST', '/api/ports/register', { body: { port, agent: 'other', reason: 'Taken' } });
+    assert.strictEqual(taken.status, 201);
+    const { status } = await claim({ range: `${port}-${port}`, probe: true });
+    assert.strictEqual(status, 404);
+  });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startServer, freePort, waitFor, ROOT } = require('./helpers');
+
+// ─── Command-line Client ───────────────────────────────────────────────────────
+
+const CLI = path.join(ROOT, 'bin', 'port-register.js');
+
+test('port-register run', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('a grandchild listening on $PORT verifies the wrapper as owner', async () => {
+    const port = await freePort();
+    // Like `npm run dev`: the command starts another process, and that one listens
+    const listen = "require('net').createServer().listen(Number(process.env.PORT))";
+    const launch = `require('child_process').spawn(process.execPath, ['-e', ${JSON.stringify(listen)}], { stdio: 'inherit' })`;
+    const wrapper = spawn(process.execPath, [
+      CLI, 'run', '--url', server.url, '--agent', 'cli-test', '--reason', 'Listener', '--range', `${port}-${port}`,
+      '--', process.execPath, '-e', launch,
+    ], { stdio: 'ignore' });
+    const exited = new Promise(resolve => wrapper.once('exit', resolve));
+    let reg;
+    try {
+      await waitFor(async () => {
+        const { body } = await server.request('GET', '/api/ports?agent=cli-test&fresh=1');
+        reg = body.registrations[0];
+        return reg && reg.ownerVerified === true;
+      }, 10000, 'the grandchild to listen on the owner\'s behalf');
+      assert.strictEqual(reg.port, port);
+      assert.strictEqual(reg.ownerPid, wrapper.pid);
+      assert.notStrictEqual(reg.osPid, reg.ownerPid);
+    } finally {
+      wrapper.kill('SIGTERM');
+      await exited;
+      // The wrapper only signals its direct child; stop the listener it left behind
+      if (reg && reg.osPid) {
+        try { process.kill(reg.osPid); } catch { /* already gone */ }
+      }
+    }
+
+    await waitFor(async () => {
+      const { body } = await server.request('GET', '/api/ports?agent=cli-test');
+      return body.registrations.length === 0;
+    }, 5000, 'the port to be released');
+  });
+});
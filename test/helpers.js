@@ -0,0 +1,92 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// ─── Test Server ───────────────────────────────────────────────────────────────
+//
+// Each test file runs its own server.js on a free port, with its registry and
+// history in a temp directory and the service proxy off, so tests never touch
+// the real ports.json or each other.
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN_TOKEN = 'test-admin-token';
+const START_TIMEOUT_MS = 10000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs, what) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check().catch(() => false)) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+// Resolves { url, port, dir, request(), stop() } once /healthz answers.
+// `args` are extra server.js flags.
+async function startServer({ args = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-register-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [
+    path.join(ROOT, 'server.js'),
+    '--port', String(port),
+    '--data-file', path.join(dir, 'ports.json'),
+    '--history-file', path.join(dir, 'history.jsonl'),
+    '--scan-interval', '500',
+    ...args,
+  ], { env: { ...process.env, PORT_REGISTER_ADMIN_TOKEN: ADMIN_TOKEN }, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+
+  const url = `http://localhost:${port}`;
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`server.js exited:\n${output}`);
+      return (await fetch(`${url}/healthz`)).status < 500;
+    }, START_TIMEOUT_MS, 'server.js to start');
+  } catch (e) {
+    child.kill();
+    throw new Error(`${e.message}\n${output}`);
+  }
+
+  // { status, body } for one API call; `leaseToken` / `admin` add the auth headers
+  async function request(method, apiPath, { body, leaseToken, admin = false } = {}) {
+    const res = await fetch(`${url}${apiPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(leaseToken ? { 'X-Lease-Token': leaseToken } : {}),
+        ...(admin ? { 'X-Admin-Token': ADMIN_TOKEN } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { url, port, dir, request, stop };
+}
+
+module.exports = { startServer, freePort, waitFor, ADMIN_TOKEN, ROOT };
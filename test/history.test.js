@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistory } = require('../lib/history');
+
+// ─── Event History ─────────────────────────────────────────────────────────────
+
+test('history', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-register-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.jsonl');
+
+  // ~100 bytes per event, so every few events start a new generation
+  const history = createHistory(file, { maxBytes: 300, maxFiles: 5 });
+  for (let i = 1; i <= 12; i++) history.record({ type: 'register', port: 3000 + (i % 2), agent: 'a' });
+
+  const readsDuring = fn => {
+    const read = t.mock.method(fs, 'readFileSync');
+    try {
+      return { result: fn(), files: read.mock.calls.map(c => c.arguments[0]) };
+    } finally {
+      read.mock.restore();
+    }
+  };
+
+  await t.test('a page found in the current file reads no older generation', () => {
+    const { result, files } = readsDuring(() => history.query({ limit: 2 }));
+    assert.deepStrictEqual(result.events.map(e => e.id), [12, 11]);
+    assert.strictEqual(result.hasMore, true);
+    assert.deepStrictEqual(files, [file]);
+  });
+
+  await t.test('pages continue across generations and the last one has no more', () => {
+    const ids = [];
+    let page = { hasMore: true };
+    for (let offset = 0; page.hasMore; offset += 5) {
+      page = history.query({ limit: 5, offset });
+      ids.push(...page.events.map(e => e.id));
+    }
+    assert.deepStrictEqual(ids, [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  });
+
+  await t.test('filters apply before the page is cut', () => {
+    const { events, hasMore } = history.query({ port: 3001, limit: 3 });
+    assert.deepStrictEqual(events.map(e => e.id), [11, 9, 7]);
+    assert.strictEqual(hasMore, true);
+  });
+
+  await t.test('since stops the walk at the first older event', () => {
+    const cutoff = history.query({ limit: 1, offset: 2 }).events[0];
+    const { events, hasMore } = history.query({ since: cutoff.ts, limit: 100 });
+    assert.ok(events.every(e => Date.parse(e.ts) > Date.parse(cutoff.ts)));
+    assert.strictEqual(hasMore, false);
+  });
+});
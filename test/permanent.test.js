@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { startServer, freePort } = require('./helpers');
+
+// ─── Permanent Registrations ───────────────────────────────────────────────────
+
+// The PID of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '0']).pid;
+}
+
+test('permanent registrations', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  async function registerPermanent() {
+    const port = await freePort();
+    const { status, body } = await server.request('POST', '/api/ports/register', {
+      body: { port, agent: 'infra', reason: 'Shared database', permanent: true },
+      admin: true,
+    });
+    assert.strictEqual(status, 201);
+    return { port, leaseToken: body.leaseToken };
+  }
+
+  const registered = async port => (await server.request('GET', '/api/ports?agent=infra')).body.registrations.some(r => r.port === port);
+
+  await t.test('updates need the admin token, not just the lease token', async () => {
+    const { port, leaseToken } = await registerPermanent();
+    for (const body of [{ pid: deadPid() }, { reason: 'Mine now' }, { name: 'db' }, { labels: { team: 'x' } }]) {
+      const denied = await server.request('PATCH', `/api/ports/${port}`, { body, leaseToken });
+      assert.strictEqual(denied.status, 401, JSON.stringify(body));
+    }
+    const { body } = await server.request('GET', '/api/ports?agent=infra');
+    const reg = body.registrations.find(r => r.port === port);
+    assert.strictEqual(reg.reason, 'Shared database');
+    assert.strictEqual(reg.name, undefined);
+
+    const allowed = await server.request('PATCH', `/api/ports/${port}`, { body: { reason: 'Shared database (v16)' }, admin: true });
+    assert.strictEqual(allowed.status, 200);
+  });
+
+  await t.test('a dead owner PID never releases a permanent registration', async () => {
+    const { port } = await registerPermanent();
+    const bound = await server.request('PATCH', `/api/ports/${port}`, { body: { pid: deadPid() }, admin: true });
+    assert.strictEqual(bound.status, 200);
+
+    // Owner PIDs are checked every 5 seconds
+    await new Promise(resolve => setTimeout(resolve, 6000));
+    assert.ok(await registered(port));
+  });
+});
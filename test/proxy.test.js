@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer, freePort } = require('./helpers');
+
+// ─── Service Proxy ─────────────────────────────────────────────────────────────
+
+// GET through a raw http.request so the Host header can name the service
+function get(port, path, host) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, headers: { host } }, res => {
+      let body = '';
+      res.on('data', d => { body += d; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('service proxy', async t => {
+  const proxyPort = await freePort();
+  const server = await startServer({ args: ['--proxy-port', String(proxyPort)] });
+  t.after(() => server.stop());
+
+  const appPort = await freePort();
+  const app = http.createServer((req, res) => res.end(`hello from ${req.url}`));
+  await new Promise(resolve => app.listen(appPort, '127.0.0.1', resolve));
+  t.after(() => app.close());
+
+  const { status } = await server.request('POST', '/api/ports/register', {
+    body: { port: appPort, agent: 'web', reason: 'Proxied app', name: 'app', address: '127.0.0.1' },
+  });
+  assert.strictEqual(status, 201);
+
+  await t.test('named services answer on the proxy port', async () => {
+    const res = await get(proxyPort, '/page', `app.localhost:${proxyPort}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body, 'hello from /page');
+  });
+
+  await t.test('addresses off this machine are refused, so the proxy never connects to them', async () => {
+    for (const address of ['93.184.216.34', '169.254.169.254', '2001:db8::1']) {
+      const { status, body } = await server.request('POST', '/api/ports/register', {
+        body: { port: 80, agent: 'web', reason: 'Elsewhere', name: 'ext', address },
+      });
+      assert.strictEqual(status, 400, `${address}: ${JSON.stringify(body)}`);
+    }
+    const { body } = await server.request('GET', '/api/services');
+    assert.ok(!body.services.some(s => s.name === 'ext'));
+
+    const loopback = await server.request('POST', '/api/ports/register', {
+      body: { port: await freePort(), agent: 'web', reason: 'Loopback alias', address: '127.0.0.2' },
+    });
+    assert.strictEqual(loopback.status, 201);
+  });
+
+  await t.test('named services are not served from the dashboard origin', async () => {
+    const res = await get(server.port, '/svc/app/page', `localhost:${server.port}`);
+    assert.strictEqual(res.status, 404);
+    assert.ok(!res.body.includes('hello from'));
+  });
+});
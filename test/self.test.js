@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+// ─── Self-Registration ─────────────────────────────────────────────────────────
+
+test('self-registration follows the configured port', async t => {
+  // A v2 registry from before permanent registrations, holding the old fixed
+  // self-entry on 4444 with a far-future expiry
+  const seed = fs.mkdtempSync(path.join(os.tmpdir(), 'port-register-seed-'));
+  const dataFile = path.join(seed, 'ports.json');
+  fs.writeFileSync(dataFile, JSON.stringify({
+    version: 2,
+    registrations: [{
+      port: 4444,
+      agent: 'port-register',
+      reason: 'Port Register service — central port registry web UI and API for all agents',
+      registeredAt: '2026-02-26T03:57:06.834Z',
+      expiresAt: Date.now() + 5 * 365 * 24 * 60 * 60 * 1000,
+      id: '4444-1772078226834',
+    }],
+  }));
+  const server = await startServer({ args: ['--data-file', dataFile] });
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(seed, { recursive: true, force: true });
+  });
+
+  await t.test('the migrated 4444 entry is replaced by one on the port the server runs on', async () => {
+    const { body } = await server.request('GET', '/api/ports?agent=port-register');
+    assert.deepStrictEqual(body.registrations.map(r => [r.port, r.permanent]), [[server.port, true]]);
+  });
+
+  await t.test('the policy reserves the configured port, not 4444', async () => {
+    const { body } = await server.request('GET', '/api/policy');
+    const reserved = body.reserved.map(r => r.ports);
+    assert.ok(reserved.includes(String(server.port)), `reserved: ${reserved.join(', ')}`);
+    assert.ok(!reserved.includes('4444'), `reserved: ${reserved.join(', ')}`);
+  });
+});
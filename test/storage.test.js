@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, StorageError, SCHEMA_VERSION } = require('../lib/storage');
+
+// ─── Registry Storage ──────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('storage', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-register-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  let files = 0;
+  // A store over a fresh file holding `doc` (written as-is), or no file at all
+  const storeWith = doc => {
+    const file = path.join(dir, `ports-${++files}.json`);
+    if (doc !== undefined) fs.writeFileSync(file, typeof doc === 'string' ? doc : JSON.stringify(doc));
+    return createStore(file);
+  };
+  const onDisk = store => JSON.parse(fs.readFileSync(store.file, 'utf-8'));
+
+  await t.test('a missing file starts an empty registry at the current version', () => {
+    const store = storeWith();
+    assert.deepStrictEqual(store.load(), { version: SCHEMA_VERSION, registrations: [] });
+    assert.deepStrictEqual(onDisk(store), { version: SCHEMA_VERSION, registrations: [] });
+  });
+
+  await t.test('v1: the unversioned file gains a version', () => {
+    const store = storeWith({ registrations: [{ port: 3000, agent: 'a', expiresAt: Date.now() + 60000, ttlMinutes: 5 }] });
+    const [reg] = store.load().registrations;
+    assert.strictEqual(reg.port, 3000);
+    assert.strictEqual(reg.ttlMinutes, 5);
+    assert.strictEqual(onDisk(store).version, SCHEMA_VERSION);
+  });
+
+  await t.test('v2: TTLs default to 30 minutes and far-future expiries become permanent', () => {
+    const soon = Date.now() + 60000;
+    const store = storeWith({
+      version: 2,
+      registrations: [
+        { port: 3000, agent: 'a', expiresAt: soon },
+        { port: 3001, agent: 'a', expiresAt: soon, ttlMinutes: 5 },
+        { port: 5432, agent: 'db', expiresAt: Date.now() + 365 * DAY_MS, ttlMinutes: 525600 },
+      ],
+    });
+    const [plain, custom, pinned] = store.load().registrations;
+    assert.strictEqual(plain.ttlMinutes, 30);
+    assert.strictEqual(plain.permanent, undefined);
+    assert.strictEqual(custom.ttlMinutes, 5);
+    assert.strictEqual(pinned.permanent, true);
+    assert.strictEqual(pinned.expiresAt, null);
+    assert.strictEqual(pinned.ttlMinutes, null);
+  });
+
+  await t.test('v3: registrations become TCP on all interfaces unless they say otherwise', () => {
+    const store = storeWith({
+      version: 3,
+      registrations: [
+        { port: 3000, agent: 'a', ttlMinutes: 30 },
+        { port: 5353, agent: 'a', ttlMinutes: 30, proto: 'udp', address: '127.0.0.1' },
+      ],
+    });
+    const [plain, udp] = store.load().registrations;
+    assert.strictEqual(plain.proto, 'tcp');
+    assert.strictEqual(plain.address, null);
+    assert.strictEqual(udp.proto, 'udp');
+    assert.strictEqual(udp.address, '127.0.0.1');
+    assert.strictEqual(onDisk(store).version, SCHEMA_VERSION);
+  });
+
+  await t.test('a file from a newer server is refused', () => {
+    const store = storeWith({ version: SCHEMA_VERSION + 1, registrations: [] });
+    assert.throws(() => store.load(), StorageError);
+  });
+
+  await t.test('a document without a registrations array is refused', () => {
+    const store = storeWith({ version: SCHEMA_VERSION, ports: [] });
+    assert.throws(() => store.load(), StorageError);
+  });
+
+  await t.test('a corrupt file is refused, left alone, and the last good copy is in the .bak', async () => {
+    const store = storeWith();
+    store.load();
+    await store.mutate(data => { data.registrations.push({ port: 3000, agent: 'a' }); });
+    await store.mutate(data => { data.registrations.push({ port: 3001, agent: 'a' }); });
+    const backup = JSON.parse(fs.readFileSync(`${store.file}.bak`, 'utf-8'));
+    assert.deepStrictEqual(backup.registrations.map(r => r.port), [3000]);
+
+    // A crash mid-write used to leave a truncated file behind
+    fs.writeFileSync(store.file, '{"version": 4, "registrations": [{"port": 30');
+    const reopened = createStore(store.file);
+    assert.throws(() => reopened.load(), e => e instanceof StorageError && e.message.includes(`${store.file}.bak`));
+    assert.strictEqual(fs.readFileSync(store.file, 'utf-8'), '{"version": 4, "registrations": [{"port": 30');
+
+    // Restoring the backup brings the registry back
+    fs.copyFileSync(`${store.file}.bak`, store.file);
+    assert.deepStrictEqual(createStore(store.file).load().registrations.map(r => r.port), [3000]);
+  });
+
+  await t.test('a failed mutation commits nothing', async () => {
+    const store = storeWith();
+    store.load();
+    await assert.rejects(store.mutate(data => {
+      data.registrations.push({ port: 3000, agent: 'a' });
+      throw new Error('nope');
+    }), /nope/);
+    assert.deepStrictEqual(store.read().registrations, []);
+    assert.deepStrictEqual(onDisk(store).registrations, []);
+  });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, freePort } = require('./helpers');
+
+// ─── Transfers & Release Requests ──────────────────────────────────────────────
+
+test('transfers and release requests', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  async function registerPermanent() {
+    const port = await freePort();
+    const { status, body } = await server.request('POST', '/api/ports/register', {
+      body: { port, agent: 'infra', reason: 'Shared database', permanent: true },
+      admin: true,
+    });
+    assert.strictEqual(status, 201);
+    return { port, leaseToken: body.leaseToken };
+  }
+
+  await t.test('a permanent registration cannot be transferred with only its lease token', async () => {
+    const { port, leaseToken } = await registerPermanent();
+
+    const denied = await server.request('POST', `/api/ports/${port}/transfer`, { body: { toAgent: 'random' }, leaseToken });
+    assert.strictEqual(denied.status, 401);
+    const { body } = await server.request('GET', `/api/ports?agent=infra`);
+    assert.ok(body.registrations.some(r => r.port === port && r.agent === 'infra'));
+
+    const allowed = await server.request('POST', `/api/ports/${port}/transfer`, { body: { toAgent: 'ops' }, admin: true });
+    assert.strictEqual(allowed.status, 200);
+    assert.strictEqual(allowed.body.registration.agent, 'ops');
+  });
+
+  await t.test('a release request for a permanent registration cannot be accepted with only its lease token', async () => {
+    const { port, leaseToken } = await registerPermanent();
+    const asked = await server.request('POST', `/api/ports/${port}/release-request`, {
+      body: { agent: 'random', reason: 'Want it' },
+    });
+    assert.strictEqual(asked.status, 201);
+    const requestId = asked.body.request.id;
+
+    const denied = await server.request('POST', `/api/ports/${port}/release-requests/${requestId}/accept`, { leaseToken });
+    assert.strictEqual(denied.status, 401);
+    const pending = await server.request('GET', `/api/ports/${port}/release-requests/${requestId}`);
+    assert.strictEqual(pending.body.status, 'pending');
+
+    const allowed = await server.request('POST', `/api/ports/${port}/release-requests/${requestId}/accept`, { admin: true });
+    assert.strictEqual(allowed.status, 200);
+    assert.strictEqual(allowed.body.registration.agent, 'random');
+  });
+
+  await t.test('an ordinary registration is transferred with its lease token', async () => {
+    const port = await freePort();
+    const { body } = await server.request('POST', '/api/ports/register', { body: { port, agent: 'a', reason: 'Dev server' } });
+    const moved = await server.request('POST', `/api/ports/${port}/transfer`, { body: { toAgent: 'b' }, leaseToken: body.leaseToken });
+    assert.strictEqual(moved.status, 200);
+    assert.strictEqual(moved.body.registration.agent, 'b');
+    assert.notStrictEqual(moved.body.leaseToken, body.leaseToken);
+  });
+});
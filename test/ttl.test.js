@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, freePort } = require('./helpers');
+
+// ─── TTLs ──────────────────────────────────────────────────────────────────────
+
+test('ttlMinutes', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const register = async ttlMinutes => server.request('POST', '/api/ports/register', {
+    body: { port: await freePort(), agent: 'ttl', reason: 'TTL check', ttlMinutes },
+  });
+
+  await t.test('malformed, zero and negative TTLs are rejected instead of truncated', async () => {
+    for (const ttlMinutes of ['5abc', '', 0, -5, '0.0', 'Infinity', true]) {
+      const { status } = await register(ttlMinutes);
+      assert.strictEqual(status, 400, `ttlMinutes ${JSON.stringify(ttlMinutes)}`);
+    }
+  });
+
+  await t.test('fractional TTLs are kept as given', async () => {
+    const before = Date.now();
+    const { status, body } = await register(0.5);
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.registration.ttlMinutes, 0.5);
+    const lifetime = new Date(body.registration.expiresAt).getTime() - before;
+    assert.ok(lifetime > 25000 && lifetime <= 31000, `expires in ${lifetime}ms`);
+
+    const beat = await server.request('POST', `/api/ports/${body.registration.port}/heartbeat`, {
+      body: { ttlMinutes: '1.5' },
+      leaseToken: body.leaseToken,
+    });
+    assert.strictEqual(beat.status, 200);
+    assert.strictEqual(beat.body.ttlMinutes, 1.5);
+  });
+});
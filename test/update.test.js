@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, freePort } = require('./helpers');
+
+// ─── Updating Registrations ────────────────────────────────────────────────────
+
+test('PATCH /api/ports/:port', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const port = await freePort();
+  const { body: created } = await server.request('POST', '/api/ports/register', {
+    body: {
+      port,
+      agent: 'editor',
+      reason: 'Dev server',
+      tags: ['web', 'dev'],
+      labels: { project: 'shop' },
+    },
+  });
+  const { leaseToken } = created;
+  await server.request('PATCH', `/api/ports/${port}`, { body: { metadata: { build: { id: 7 }, owner: 'me' } }, leaseToken });
+  const updates = async () => (await server.request('GET', `/api/history?port=${port}&type=update`)).body.events
+    .map(e => e.changes);
+
+  await t.test('values equal to the current ones are not changes', async () => {
+    const { status, body } = await server.request('PATCH', `/api/ports/${port}`, {
+      body: { tags: ['web', 'dev'], labels: { project: 'shop' }, metadata: { build: { id: 7 }, owner: 'me' } },
+      leaseToken,
+    });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.changes, []);
+    assert.deepStrictEqual(await updates(), [['metadata']]);
+  });
+
+  await t.test('only the fields that differ are recorded', async () => {
+    const { body } = await server.request('PATCH', `/api/ports/${port}`, {
+      body: { tags: ['web', 'dev'], metadata: { build: { id: 8 } } },
+      leaseToken,
+    });
+    assert.deepStrictEqual(body.changes, ['metadata']);
+    assert.deepStrictEqual(body.registration.metadata, { build: { id: 8 }, owner: 'me' });
+    assert.deepStrictEqual(await updates(), [['metadata'], ['metadata']]);
+  });
+});
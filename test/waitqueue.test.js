@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { startServer, freePort, waitFor } = require('./helpers');
+
+// ─── Wait Queue ────────────────────────────────────────────────────────────────
+
+test('wait queue', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('a port an unregistered process listens on is not granted until the listener goes', async () => {
+    const port = await freePort();
+    const listener = net.createServer();
+    await new Promise(resolve => listener.listen(port, resolve));
+    try {
+      await waitFor(async () => (await server.request('GET', `/api/ports/check/${port}?fresh=1`)).body.osInUse, 5000, 'the scanner to see the listener');
+
+      const queued = await server.request('POST', `/api/ports/${port}/wait`, { body: { agent: 'w', reason: 'Dev server', hold: false } });
+      assert.strictEqual(queued.status, 202);
+      assert.strictEqual(queued.body.status, 'waiting');
+
+      const polled = await server.request('GET', `/api/waits/${queued.body.waitId}?timeout=1`);
+      assert.strictEqual(polled.body.status, 'waiting');
+
+      await new Promise(resolve => listener.close(resolve));
+      const granted = await server.request('GET', `/api/waits/${queued.body.waitId}?timeout=10`);
+      assert.strictEqual(granted.status, 201);
+      assert.strictEqual(granted.body.registration.port, port);
+      assert.strictEqual(granted.body.registration.agent, 'w');
+    } finally {
+      if (listener.listening) listener.close();
+    }
+  });
+
+  await t.test('a free port is granted straight away', async () => {
+    const port = await freePort();
+    const { status, body } = await server.request('POST', `/api/ports/${port}/wait`, { body: { agent: 'w', reason: 'Dev server', hold: false } });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.status, 'granted');
+  });
+});